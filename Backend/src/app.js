@@ -9,15 +9,29 @@ import webhookRoutes from './routes/webhook.routes.js';
 import productRoutes from './routes/product.routes.js';
 import metricsRoutes from './routes/metrics.routes.js';
 import healthRoutes from "./routes/health.routes.js";
+import farmRoutes from './routes/farm.routes.js';
+import categoryRoutes from './routes/category.routes.js';
+import inventoryRoutes from './routes/inventory.routes.js';
+import orderRoutes from './routes/order.routes.js';
+import inventoryService from './services/inventory.service.js';
 
 const app = express();
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 app.use(healthRoutes);
 app.use('/external', externalRoutes);
 app.use('/webhook', webhookRoutes);
 app.use('/products', productRoutes);
 app.use('/metrics', metricsRoutes);
+app.use('/farms', farmRoutes);
+app.use('/categories', categoryRoutes);
+app.use('/inventory', inventoryRoutes);
+app.use('/orders', orderRoutes);
 
 const PORT = process.env.PORT || 3000;
 
@@ -32,6 +46,9 @@ const startServer = async () => {
     
     // Connect to Redis
     await connectRedis();
+
+    // Release reservations of unpaid orders once their TTL passes
+    inventoryService.startExpirySweeper();
     
     // Routes
     app.use('/external', externalRoutes);
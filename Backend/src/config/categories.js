@@ -0,0 +1,16 @@
+/**
+ * Top-level product categories the catalog starts with.
+ * initDatabase creates them in the categories table; the seeder assigns them.
+ */
+export const CATEGORIES = [
+  'Electronics',
+  'Clothing',
+  'Home & Garden',
+  'Sports',
+  'Books',
+  'Toys',
+  'Food & Beverage',
+  'Beauty',
+  'Automotive',
+  'Health'
+];
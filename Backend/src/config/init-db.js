@@ -1,4 +1,6 @@
 import { pool } from './database.js';
+import { CATEGORIES } from './categories.js';
+import { slugify } from '../utils/slug.js';
 
 /**
  * Initializes database tables with proper indexes for performance.
@@ -23,6 +25,93 @@ export async function initDatabase() {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
+    // Events are processed by the worker (npm run worker); 'pending' covers
+    // queued and scheduled retries, 'dead_letter' events exhausted them,
+    // 'rejected' events failed schema validation, and 'parked'/'discarded'
+    // events arrived early/stale for their aggregate
+    await pool.query(`
+      ALTER TABLE webhook_events
+      MODIFY status ENUM('pending', 'processed', 'failed', 'dead_letter', 'rejected', 'parked', 'discarded')
+        DEFAULT 'pending'
+    `);
+    await addColumnIfMissing('webhook_events', 'last_error', 'TEXT NULL');
+    await addColumnIfMissing('webhook_events', 'next_attempt_at', 'TIMESTAMP NULL');
+
+    // Processing lease: whoever handles a pending event holds it until
+    // locked_until (renewed by a heartbeat). Expired leases are reaped.
+    await addColumnIfMissing('webhook_events', 'locked_until', 'TIMESTAMP NULL');
+    await addColumnIfMissing('webhook_events', 'locked_by', 'VARCHAR(100) NULL');
+    await addIndexIfMissing('webhook_events', 'idx_status_locked_until', '(status, locked_until)');
+    // Handler result, returned to duplicate deliveries
+    await addColumnIfMissing('webhook_events', 'processed_data', 'JSON NULL');
+    await addColumnIfMissing('webhook_events', 'validation_errors', 'JSON NULL');
+    // Results of handlers that succeeded while others failed; skipped on retry
+    await addColumnIfMissing('webhook_events', 'handler_results', 'JSON NULL');
+
+    // Per-aggregate ordering: the aggregate (order, payment) an event with a
+    // sequence applies to, and how long an early event waits for its predecessor
+    await addColumnIfMissing('webhook_events', 'aggregate_type', 'VARCHAR(20) NULL');
+    await addColumnIfMissing('webhook_events', 'aggregate_id', 'VARCHAR(100) NULL');
+    await addColumnIfMissing('webhook_events', 'aggregate_sequence', 'BIGINT NULL');
+    await addColumnIfMissing('webhook_events', 'parked_until', 'TIMESTAMP NULL');
+    await addIndexIfMissing(
+      'webhook_events',
+      'idx_aggregate_status_sequence',
+      '(aggregate_type, aggregate_id, status, aggregate_sequence)'
+    );
+    await addIndexIfMissing('webhook_events', 'idx_status_parked_until', '(status, parked_until)');
+
+    // Last sequence applied per aggregate
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_aggregate_sequences (
+        aggregate_type VARCHAR(20) NOT NULL,
+        aggregate_id VARCHAR(100) NOT NULL,
+        last_sequence BIGINT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (aggregate_type, aggregate_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Processing attempts of webhook events: worker deliveries, retries and
+    // admin replays. 'running' attempts whose lease expired become 'abandoned'.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_event_attempts (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        webhook_event_id INT NOT NULL,
+        trigger_type VARCHAR(20) NOT NULL,
+        outcome VARCHAR(20) NOT NULL,
+        error_message TEXT NULL,
+        result JSON NULL,
+        requested_by VARCHAR(100) NULL,
+        started_at TIMESTAMP(3) NOT NULL,
+        finished_at TIMESTAMP(3) NULL,
+        duration_ms INT NULL,
+        error_stack TEXT NULL,
+        INDEX idx_webhook_event_started_at (webhook_event_id, started_at),
+        CONSTRAINT fk_webhook_event_attempts_event FOREIGN KEY (webhook_event_id)
+          REFERENCES webhook_events(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await addColumnIfMissing('webhook_event_attempts', 'duration_ms', 'INT NULL');
+    await addColumnIfMissing('webhook_event_attempts', 'error_stack', 'TEXT NULL');
+
+    // Webhook requests rejected before processing (bad signature, stale
+    // timestamp, replay), kept for auditing
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_rejections (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        reason VARCHAR(50) NOT NULL,
+        event_id VARCHAR(255) NULL,
+        event_type VARCHAR(100) NULL,
+        source_ip VARCHAR(45) NULL,
+        signature VARCHAR(512) NULL,
+        signed_at VARCHAR(32) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_reason_created_at (reason, created_at),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
     // Create products table with optimized indexes
     await pool.query(`
       CREATE TABLE IF NOT EXISTS products (
@@ -47,9 +136,305 @@ export async function initDatabase() {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
+    // Create farms table (vendors that grow/sell products)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS farms (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        address VARCHAR(500),
+        latitude DECIMAL(9, 6),
+        longitude DECIMAL(9, 6),
+        contact_name VARCHAR(255),
+        contact_email VARCHAR(255),
+        contact_phone VARCHAR(50),
+        verified BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_verified (verified),
+        INDEX idx_name (name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Proximity search: location mirrors latitude/longitude as a WGS 84
+    // point so a SPATIAL index answers the bounding-box lookup. Spatial
+    // indexes need a NOT NULL column, so farms without coordinates get
+    // POINT(0 0); queries also require latitude to be set.
+    await addColumnIfMissing(
+      'farms',
+      'location',
+      `POINT SRID 4326 AS (ST_GeomFromText(
+        CONCAT('POINT(', COALESCE(longitude, 0), ' ', COALESCE(latitude, 0), ')'),
+        4326, 'axis-order=long-lat'
+      )) STORED NOT NULL`
+    );
+    await addIndexIfMissing('farms', 'idx_location', '(location)', 'SPATIAL INDEX');
+
+    // Link products to the farm that grows them (existing tables are migrated in place)
+    await addColumnIfMissing('products', 'farm_id', 'INT NULL AFTER category');
+    await addIndexIfMissing('products', 'idx_farm_id', '(farm_id)');
+    await addForeignKeyIfMissing(
+      'products',
+      'fk_products_farm',
+      'FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE SET NULL'
+    );
+
+    // Produce attributes: unit of measure and pack size, harvest date,
+    // shelf life and organic/certification flags
+    await addColumnIfMissing('products', 'unit', "VARCHAR(20) NOT NULL DEFAULT 'piece' AFTER price");
+    await addColumnIfMissing('products', 'pack_size', 'DECIMAL(10, 3) NOT NULL DEFAULT 1 AFTER unit');
+    await addColumnIfMissing('products', 'harvested_at', 'DATE NULL AFTER stock');
+    await addColumnIfMissing('products', 'shelf_life_days', 'INT NULL AFTER harvested_at');
+    await addColumnIfMissing('products', 'organic', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER shelf_life_days');
+    await addColumnIfMissing('products', 'certifications', 'JSON NULL AFTER organic');
+    await addIndexIfMissing('products', 'idx_harvested_at', '(harvested_at)');
+    await addIndexIfMissing('products', 'idx_unit', '(unit)');
+
+    // Product variants (pack sizes / SKUs), each with its own price and stock.
+    // products.price and products.stock mirror the cheapest variant and the
+    // total variant stock for products that have variants.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        sku VARCHAR(64) NULL,
+        label VARCHAR(100) NOT NULL,
+        unit VARCHAR(20) NOT NULL DEFAULT 'piece',
+        pack_size DECIMAL(10, 3) NOT NULL DEFAULT 1,
+        price DECIMAL(10, 2) NOT NULL,
+        stock INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_sku (sku),
+        INDEX idx_product_price (product_id, price),
+        CONSTRAINT fk_variants_product FOREIGN KEY (product_id)
+          REFERENCES products(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Category tree. products.category keeps the category name for
+    // compatibility; products.category_id is what filters use.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        slug VARCHAR(120) NOT NULL,
+        parent_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_name (name),
+        UNIQUE KEY uq_slug (slug),
+        INDEX idx_parent_id (parent_id),
+        CONSTRAINT fk_categories_parent FOREIGN KEY (parent_id) REFERENCES categories(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await addColumnIfMissing('products', 'category_id', 'INT NULL AFTER category');
+    await addIndexIfMissing('products', 'idx_category_id_price', '(category_id, price)');
+
+    // Price history: one row per price change (and per initial price), with
+    // what made the change. products.previous_price / price_changed_at keep
+    // the latest change for badges and the priceChangedSince filter.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_price_history (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        old_price DECIMAL(10, 2) NULL,
+        new_price DECIMAL(10, 2) NOT NULL,
+        source ENUM('api', 'import', 'external_sync') NOT NULL,
+        changed_by VARCHAR(255) NULL,
+        changed_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_product_changed_at (product_id, changed_at),
+        CONSTRAINT fk_price_history_product FOREIGN KEY (product_id)
+          REFERENCES products(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await addColumnIfMissing('products', 'previous_price', 'DECIMAL(10, 2) NULL AFTER price');
+    await addColumnIfMissing('products', 'price_changed_at', 'TIMESTAMP(3) NULL AFTER previous_price');
+    await addIndexIfMissing('products', 'idx_price_changed_at', '(price_changed_at)');
+
+    // Soft delete and archive. is_active is a virtual column so the default
+    // "visible products only" predicate can lead composite indexes: listing
+    // sorts and category filters stay index-ordered scans, and full-text
+    // matches only pay a cheap per-row check.
+    await addColumnIfMissing('products', 'archived', 'BOOLEAN NOT NULL DEFAULT FALSE');
+    await addColumnIfMissing('products', 'deleted_at', 'TIMESTAMP NULL');
+    await addColumnIfMissing(
+      'products',
+      'is_active',
+      'BOOLEAN AS (deleted_at IS NULL AND archived = FALSE) VIRTUAL'
+    );
+    await addIndexIfMissing('products', 'idx_active_created_at', '(is_active, created_at)');
+    await addIndexIfMissing('products', 'idx_active_price', '(is_active, price)');
+    await addIndexIfMissing('products', 'idx_active_name', '(is_active, name)');
+    await addIndexIfMissing('products', 'idx_active_category_price', '(is_active, category_id, price)');
+
+    // Needs is_active: hidden products are left unlinked (see migrateCategories)
+    await migrateCategories();
+    await addForeignKeyIfMissing(
+      'products',
+      'fk_products_category',
+      'FOREIGN KEY (category_id) REFERENCES categories(id)'
+    );
+
+    // Inventory reservations held by orders until payment, cancellation or
+    // expiry. reserved_stock counts units held by active reservations, so
+    // the sellable quantity is stock - reserved_stock.
+    await addColumnIfMissing('products', 'reserved_stock', 'INT NOT NULL DEFAULT 0 AFTER stock');
+    await addColumnIfMissing('product_variants', 'reserved_stock', 'INT NOT NULL DEFAULT 0 AFTER stock');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS inventory_reservations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id VARCHAR(100) NOT NULL,
+        product_id INT NOT NULL,
+        variant_id INT NULL,
+        quantity INT NOT NULL,
+        status ENUM('active', 'committed', 'released', 'expired') NOT NULL DEFAULT 'active',
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_order_id (order_id),
+        INDEX idx_status_expires_at (status, expires_at),
+        INDEX idx_product_status (product_id, status),
+        CONSTRAINT fk_reservations_product FOREIGN KEY (product_id) REFERENCES products(id),
+        CONSTRAINT fk_reservations_variant FOREIGN KEY (variant_id)
+          REFERENCES product_variants(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Orders received through webhooks. order_id is the external id; status
+    // follows the state machine in order.service.js, and every status change
+    // is logged in order_transitions with the event that caused it.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id VARCHAR(100) NOT NULL,
+        customer_id VARCHAR(100) NULL,
+        status ENUM('created', 'confirmed', 'packed', 'shipped', 'delivered', 'cancelled', 'rejected')
+          NOT NULL DEFAULT 'created',
+        total DECIMAL(12, 2) NULL,
+        paid BOOLEAN NOT NULL DEFAULT FALSE,
+        payment_id VARCHAR(100) NULL,
+        paid_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_order_id (order_id),
+        INDEX idx_status_created_at (status, created_at),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        product_id INT NOT NULL,
+        variant_id INT NULL,
+        quantity INT NOT NULL,
+        unit_price DECIMAL(10, 2) NULL,
+        INDEX idx_order_id (order_id),
+        INDEX idx_product_id (product_id),
+        CONSTRAINT fk_order_items_order FOREIGN KEY (order_id)
+          REFERENCES orders(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_transitions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        from_status VARCHAR(20) NULL,
+        to_status VARCHAR(20) NOT NULL,
+        event_id VARCHAR(255) NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_order_id (order_id),
+        CONSTRAINT fk_order_transitions_order FOREIGN KEY (order_id)
+          REFERENCES orders(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
     console.log('Database tables initialized');
   } catch (error) {
     console.error('Database initialization failed:', error.message);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Maps the flat category strings onto the categories table: the known
+ * CATEGORIES become top-level categories, as does any other string found in
+ * products, and products without a category_id are linked by name.
+ * Only unlinked active products are touched, so this is cheap after the
+ * first run. Hidden products are skipped: deleting a category unlinks its
+ * hidden products, which must not bring the category back; restoring a
+ * product links it by name again.
+ */
+async function migrateCategories() {
+  const [rows] = await pool.query(
+    'SELECT DISTINCT category FROM products WHERE category_id IS NULL AND is_active = TRUE'
+  );
+  const names = [...new Set([...CATEGORIES, ...rows.map((row) => row.category)])];
+
+  await pool.query(
+    'INSERT IGNORE INTO categories (name, slug) VALUES ?',
+    [names.map((name) => [name, slugify(name)])]
+  );
+
+  if (rows.length > 0) {
+    await pool.query(
+      `UPDATE products
+       JOIN categories ON categories.name = products.category
+       SET products.category_id = categories.id
+       WHERE products.category_id IS NULL AND products.is_active = TRUE`
+    );
+  }
+}
+
+/**
+ * Adds a column to an existing table unless it is already there.
+ * MySQL has no ADD COLUMN IF NOT EXISTS, so check information_schema first.
+ */
+async function addColumnIfMissing(table, column, definition) {
+  const [rows] = await pool.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (rows.length === 0) {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Adds an index to an existing table unless one with that name exists.
+ */
+async function addIndexIfMissing(table, indexName, definition, type = 'INDEX') {
+  const [rows] = await pool.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, indexName]
+  );
+
+  if (rows.length === 0) {
+    await pool.query(`ALTER TABLE ${table} ADD ${type} ${indexName} ${definition}`);
+  }
+}
+
+/**
+ * Adds a named foreign key to an existing table unless it exists.
+ */
+async function addForeignKeyIfMissing(table, constraintName, definition) {
+  const [rows] = await pool.query(
+    `SELECT 1 FROM information_schema.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+       AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+    [table, constraintName]
+  );
+
+  if (rows.length === 0) {
+    await pool.query(`ALTER TABLE ${table} ADD CONSTRAINT ${constraintName} ${definition}`);
+  }
+}
@@ -0,0 +1,123 @@
+import categoryService from '../services/category.service.js';
+import { validateCategory } from '../utils/categoryValidator.js';
+
+/**
+ * Controller for category endpoints.
+ */
+class CategoryController {
+  /**
+   * GET /categories/tree
+   * Nested categories with product counts.
+   */
+  async getTree(req, res) {
+    try {
+      const tree = await categoryService.getTree();
+
+      return res.status(200).json({
+        success: true,
+        data: tree
+      });
+    } catch (error) {
+      console.error('Error in getTree controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch category tree'
+      });
+    }
+  }
+
+  /**
+   * POST /categories
+   * Create a category. Body: { "name", "slug"?, "parent_id"? }
+   */
+  async createCategory(req, res) {
+    try {
+      const { valid, errors, value } = validateCategory(req.body);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category data',
+          errors
+        });
+      }
+
+      const category = await categoryService.createCategory(value);
+
+      return res.status(201).json({
+        success: true,
+        data: category
+      });
+    } catch (error) {
+      console.error('Error in createCategory controller:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'A category with this name or slug already exists'
+        });
+      }
+
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category data',
+          errors: [{ field: 'parent_id', message: 'Parent category does not exist' }]
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create category'
+      });
+    }
+  }
+
+  /**
+   * DELETE /categories/:id
+   * Delete a category that has no subcategories and no active products.
+   */
+  async deleteCategory(req, res) {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category id'
+        });
+      }
+
+      const deleted = await categoryService.deleteCategory(id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Category deleted',
+        id
+      });
+    } catch (error) {
+      console.error('Error in deleteCategory controller:', error);
+
+      if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+        return res.status(409).json({
+          success: false,
+          message: 'Category still has subcategories or active products'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete category'
+      });
+    }
+  }
+}
+
+const categoryController = new CategoryController();
+
+export default categoryController;
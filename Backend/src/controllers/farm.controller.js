@@ -0,0 +1,306 @@
+import farmService from '../services/farm.service.js';
+import productService from '../services/product.service.js';
+import { validateFarm } from '../utils/farmValidator.js';
+
+/**
+ * Parses a positive integer farm id from a route parameter.
+ * Returns null when the id is invalid.
+ */
+function parseFarmId(rawId) {
+  const id = Number(rawId);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Controller for farm endpoints.
+ */
+class FarmController {
+  /**
+   * GET /farms
+   * List farms. Query params: ?verified=true&limit=50&offset=0
+   */
+  async getFarms(req, res) {
+    try {
+      const { verified, limit = 50, offset = 0 } = req.query;
+
+      const parsedLimit = parseInt(limit);
+      const parsedOffset = parseInt(offset);
+      if (!(parsedLimit >= 1 && parsedLimit <= 100) || !(parsedOffset >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Limit must be between 1 and 100 and offset must be non-negative'
+        });
+      }
+
+      if (verified !== undefined && !['true', 'false'].includes(verified)) {
+        return res.status(400).json({
+          success: false,
+          message: 'verified must be true or false'
+        });
+      }
+
+      const farms = await farmService.getFarms({
+        verified: verified === undefined ? null : verified === 'true',
+        limit: parsedLimit,
+        offset: parsedOffset
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: farms.length,
+        data: farms
+      });
+    } catch (error) {
+      console.error('Error in getFarms controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch farms'
+      });
+    }
+  }
+
+  /**
+   * GET /farms/:id
+   * Get a single farm.
+   */
+  async getFarm(req, res) {
+    try {
+      const id = parseFarmId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid farm id'
+        });
+      }
+
+      const farm = await farmService.getFarmById(id);
+      if (!farm) {
+        return res.status(404).json({
+          success: false,
+          message: 'Farm not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: farm
+      });
+    } catch (error) {
+      console.error('Error in getFarm controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch farm'
+      });
+    }
+  }
+
+  /**
+   * GET /farms/:id/products
+   * List a farm's catalog with the same cursor pagination as GET /products.
+   * Query params: ?cursor=&limit=20&sortBy=created_at&sortOrder=desc
+   */
+  async getFarmProducts(req, res) {
+    try {
+      const id = parseFarmId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid farm id'
+        });
+      }
+
+      const { cursor, limit = 20, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
+
+      const parsedLimit = parseInt(limit);
+      if (!(parsedLimit >= 1 && parsedLimit <= 100)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Limit must be between 1 and 100'
+        });
+      }
+
+      if (!['created_at', 'price', 'name'].includes(sortBy)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sortBy field. Allowed: created_at, price, name'
+        });
+      }
+
+      if (!['asc', 'desc'].includes(sortOrder)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sortOrder. Allowed: asc, desc'
+        });
+      }
+
+      const farm = await farmService.getFarmById(id);
+      if (!farm) {
+        return res.status(404).json({
+          success: false,
+          message: 'Farm not found'
+        });
+      }
+
+      const result = await productService.getProducts({
+        farmId: id,
+        cursor,
+        limit: parsedLimit,
+        sortBy,
+        sortOrder
+      });
+
+      return res.status(200).json({
+        ...result,
+        farm
+      });
+    } catch (error) {
+      console.error('Error in getFarmProducts controller:', error);
+
+      if (error.message === 'Invalid cursor' || error.message === 'Cursor does not match query') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor parameter'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch farm products'
+      });
+    }
+  }
+
+  /**
+   * POST /farms
+   * Create a farm.
+   */
+  async createFarm(req, res) {
+    try {
+      const { valid, errors, value } = validateFarm(req.body);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid farm data',
+          errors
+        });
+      }
+
+      const farm = await farmService.createFarm(value);
+
+      return res.status(201).json({
+        success: true,
+        data: farm
+      });
+    } catch (error) {
+      console.error('Error in createFarm controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create farm'
+      });
+    }
+  }
+
+  /**
+   * PUT /farms/:id
+   * Replace all writable fields of a farm.
+   */
+  async replaceFarm(req, res) {
+    return farmController._update(req, res, { partial: false });
+  }
+
+  /**
+   * PATCH /farms/:id
+   * Update only the supplied fields of a farm.
+   */
+  async patchFarm(req, res) {
+    return farmController._update(req, res, { partial: true });
+  }
+
+  /**
+   * DELETE /farms/:id
+   * Delete a farm. Its products remain, unlinked.
+   */
+  async deleteFarm(req, res) {
+    try {
+      const id = parseFarmId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid farm id'
+        });
+      }
+
+      const deleted = await farmService.deleteFarm(id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Farm not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Farm deleted',
+        id
+      });
+    } catch (error) {
+      console.error('Error in deleteFarm controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete farm'
+      });
+    }
+  }
+
+  /**
+   * Shared handler for PUT and PATCH.
+   */
+  async _update(req, res, { partial }) {
+    try {
+      const id = parseFarmId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid farm id'
+        });
+      }
+
+      const { valid, errors, value } = validateFarm(req.body, { partial });
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid farm data',
+          errors
+        });
+      }
+
+      const farm = await farmService.updateFarm(id, value);
+      if (!farm) {
+        return res.status(404).json({
+          success: false,
+          message: 'Farm not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: farm
+      });
+    } catch (error) {
+      console.error('Error in updateFarm controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update farm'
+      });
+    }
+  }
+}
+
+const farmController = new FarmController();
+
+export default farmController;
@@ -0,0 +1,67 @@
+import inventoryService, { RESERVATION_STATUSES } from '../services/inventory.service.js';
+
+/**
+ * Controller for inventory endpoints.
+ */
+class InventoryController {
+  /**
+   * GET /inventory/reservations
+   * List stock reservations.
+   * Query params: ?orderId=&productId=&status=active&limit=50&offset=0
+   */
+  async getReservations(req, res) {
+    try {
+      const { orderId, productId, status, limit = 50, offset = 0 } = req.query;
+
+      const parsedLimit = parseInt(limit);
+      const parsedOffset = parseInt(offset);
+      if (!(parsedLimit >= 1 && parsedLimit <= 100) || !(parsedOffset >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Limit must be between 1 and 100 and offset must be non-negative'
+        });
+      }
+
+      if (status !== undefined && !RESERVATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed: ${RESERVATION_STATUSES.join(', ')}`
+        });
+      }
+
+      let parsedProductId = null;
+      if (productId !== undefined) {
+        parsedProductId = Number(productId);
+        if (!Number.isInteger(parsedProductId) || parsedProductId <= 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'productId must be a positive integer'
+          });
+        }
+      }
+
+      const reservations = await inventoryService.getReservations({
+        orderId: orderId || null,
+        productId: parsedProductId,
+        status: status || null,
+        limit: parsedLimit,
+        offset: parsedOffset
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: reservations.length,
+        data: reservations
+      });
+    } catch (error) {
+      console.error('Error in getReservations controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reservations'
+      });
+    }
+  }
+}
+
+export default new InventoryController();
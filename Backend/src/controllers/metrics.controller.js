@@ -15,10 +15,16 @@ class MetricsController {
       // Database stats
       const [dbStats] = await pool.query(`
         SELECT 
-          (SELECT COUNT(*) FROM products) as total_products,
+          (SELECT COUNT(*) FROM products WHERE is_active = TRUE) as total_products,
+          (SELECT COUNT(*) FROM products WHERE is_active = FALSE) as hidden_products,
           (SELECT COUNT(*) FROM webhook_events) as total_webhooks,
           (SELECT COUNT(*) FROM webhook_events WHERE status = 'processed') as processed_webhooks,
-          (SELECT COUNT(*) FROM webhook_events WHERE status = 'failed') as failed_webhooks
+          (SELECT COUNT(*) FROM webhook_events WHERE status = 'failed') as failed_webhooks,
+          (SELECT COUNT(*) FROM webhook_events WHERE status = 'dead_letter') as dead_letter_webhooks,
+          (SELECT COUNT(*) FROM webhook_events WHERE status = 'rejected') as rejected_webhooks,
+          (SELECT COUNT(*) FROM webhook_events WHERE status = 'parked') as parked_webhooks,
+          (SELECT COUNT(*) FROM webhook_events WHERE status = 'discarded') as discarded_webhooks,
+          (SELECT COUNT(*) FROM webhook_rejections) as signature_rejections
       `);
 
       // Redis info
@@ -0,0 +1,90 @@
+import orderService, { ORDER_STATUSES } from '../services/order.service.js';
+
+/**
+ * Controller for order endpoints (read-only; orders are written by webhooks).
+ */
+class OrderController {
+  /**
+   * GET /orders
+   * List orders. Query params: ?status=created&paid=true&limit=50&offset=0
+   */
+  async getOrders(req, res) {
+    try {
+      const { status, paid, limit = 50, offset = 0 } = req.query;
+
+      const parsedLimit = parseInt(limit);
+      const parsedOffset = parseInt(offset);
+      if (!(parsedLimit >= 1 && parsedLimit <= 100) || !(parsedOffset >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Limit must be between 1 and 100 and offset must be non-negative'
+        });
+      }
+
+      if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed: ${ORDER_STATUSES.join(', ')}`
+        });
+      }
+
+      if (paid !== undefined && !['true', 'false'].includes(paid)) {
+        return res.status(400).json({
+          success: false,
+          message: 'paid must be true or false'
+        });
+      }
+
+      const orders = await orderService.getOrders({
+        status: status || null,
+        paid: paid === undefined ? null : paid === 'true',
+        limit: parsedLimit,
+        offset: parsedOffset
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: orders.length,
+        data: orders
+      });
+    } catch (error) {
+      console.error('Error in getOrders controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch orders'
+      });
+    }
+  }
+
+  /**
+   * GET /orders/:id
+   * Get an order by its external order id, with items, status transitions
+   * and stock reservations.
+   */
+  async getOrder(req, res) {
+    try {
+      const order = await orderService.getOrder(req.params.id, { details: true });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      console.error('Error in getOrder controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch order'
+      });
+    }
+  }
+}
+
+export default new OrderController();
@@ -1,4 +1,164 @@
-import productService from '../services/product.service.js';
+import { once } from 'events';
+import productService, { EXPORT_COLUMNS } from '../services/product.service.js';
+import suggestionService from '../services/suggestion.service.js';
+import productImportService from '../services/productImport.service.js';
+import farmService from '../services/farm.service.js';
+import priceHistoryService from '../services/priceHistory.service.js';
+import { validateProduct } from '../utils/productValidator.js';
+import { toCsvRow } from '../utils/csv.js';
+import { UNITS } from '../utils/units.js';
+import { parseTimestamp } from '../utils/timestamp.js';
+
+/**
+ * Parses a positive integer product id from a route parameter.
+ * Returns null when the id is invalid.
+ */
+function parseProductId(rawId) {
+  const id = Number(rawId);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+const MAX_RADIUS_KM = 500;
+
+/**
+ * Parses the filters shared by listing, facets and export from a query string.
+ * Returns { filters } on success or { error } with a 400 message.
+ */
+function parseListingFilters(query) {
+  const {
+    search,
+    searchMode = 'natural',
+    category,
+    minPrice,
+    maxPrice,
+    farmId,
+    near,
+    radiusKm,
+    harvestedWithinDays,
+    organic,
+    unit,
+    priceChangedSince,
+    includeArchived
+  } = query;
+
+  if (!['natural', 'boolean'].includes(searchMode)) {
+    return { error: 'Invalid searchMode. Allowed: natural, boolean' };
+  }
+
+  const parsedMinPrice = minPrice ? parseFloat(minPrice) : null;
+  const parsedMaxPrice = maxPrice ? parseFloat(maxPrice) : null;
+  if (
+    parsedMinPrice !== null &&
+    parsedMaxPrice !== null &&
+    parsedMinPrice > parsedMaxPrice
+  ) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+
+  let parsedFarmId = null;
+  if (farmId !== undefined) {
+    parsedFarmId = parseProductId(farmId);
+    if (!parsedFarmId) {
+      return { error: 'farmId must be a positive integer' };
+    }
+  }
+
+  // near=lat,lng&radiusKm=25
+  let parsedNear = null;
+  let parsedRadius = null;
+  if (near !== undefined) {
+    const [lat, lng] = String(near).split(',').map((part) => Number(part.trim()));
+    if (
+      !Number.isFinite(lat) || !Number.isFinite(lng) ||
+      Math.abs(lat) > 90 || Math.abs(lng) > 180
+    ) {
+      return { error: 'near must be "lat,lng" with valid coordinates' };
+    }
+    parsedNear = { lat, lng };
+  }
+  if (radiusKm !== undefined) {
+    parsedRadius = parseFloat(radiusKm);
+    if (!(parsedRadius > 0 && parsedRadius <= MAX_RADIUS_KM)) {
+      return { error: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}` };
+    }
+    if (!parsedNear) {
+      return { error: 'radiusKm requires near' };
+    }
+  }
+
+  // Produce filters
+  let parsedHarvestedWithinDays = null;
+  if (harvestedWithinDays !== undefined) {
+    parsedHarvestedWithinDays = Number(harvestedWithinDays);
+    if (!Number.isInteger(parsedHarvestedWithinDays) || parsedHarvestedWithinDays < 0) {
+      return { error: 'harvestedWithinDays must be a non-negative integer' };
+    }
+  }
+
+  if (organic !== undefined && !['true', 'false'].includes(organic)) {
+    return { error: 'organic must be true or false' };
+  }
+
+  if (unit !== undefined && !Object.hasOwn(UNITS, unit)) {
+    return { error: `Invalid unit. Allowed: ${Object.keys(UNITS).join(', ')}` };
+  }
+
+  if (includeArchived !== undefined && !['true', 'false'].includes(includeArchived)) {
+    return { error: 'includeArchived must be true or false' };
+  }
+
+  let parsedPriceChangedSince = null;
+  if (priceChangedSince !== undefined) {
+    parsedPriceChangedSince = parseTimestamp(priceChangedSince);
+    if (!parsedPriceChangedSince) {
+      return { error: 'priceChangedSince must be an ISO 8601 date or date-time' };
+    }
+  }
+
+  return {
+    filters: {
+      search,
+      searchMode,
+      category,
+      minPrice: parsedMinPrice,
+      maxPrice: parsedMaxPrice,
+      farmId: parsedFarmId,
+      near: parsedNear,
+      radiusKm: parsedRadius,
+      harvestedWithinDays: parsedHarvestedWithinDays,
+      organic: organic === undefined ? null : organic === 'true',
+      unit: unit || null,
+      priceChangedSince: parsedPriceChangedSince,
+      includeArchived: includeArchived === 'true'
+    }
+  };
+}
+
+const MAX_BATCH_IDS = 100;
+const MAX_PRICE_HISTORY = 1000;
+const MAX_FACET_BUCKETS = 50;
+const MAX_SUGGESTIONS = 20;
+
+/**
+ * Parses a list of product ids from "1,2,3" or an array.
+ * Duplicates are dropped. Returns null when any id is invalid.
+ */
+function parseProductIds(rawIds) {
+  const parts = Array.isArray(rawIds) ? rawIds : String(rawIds).split(',');
+  const ids = [];
+
+  for (const part of parts) {
+    const id = parseProductId(typeof part === 'string' ? part.trim() : part);
+    if (!id) {
+      return null;
+    }
+    if (!ids.includes(id)) {
+      ids.push(id);
+    }
+  }
+
+  return ids;
+}
 
 /**
  * Controller for product endpoints.
@@ -9,14 +169,17 @@ class ProductController {
    * List products with pagination, search, filters, and sorting.
    */
   async getProducts(req, res) {
+    // GET /products?ids=1,2,3 is a batch lookup, not a listing
+    if (req.query.ids !== undefined) {
+      return productController._getBatch(req.query.ids, req.query, res);
+    }
+
     try {
       const {
         cursor,
         limit = 20,
         search,
-        category,
-        minPrice,
-        maxPrice,
+        include,
         sortBy = 'created_at',
         sortOrder = 'desc'
       } = req.query;
@@ -31,11 +194,25 @@ class ProductController {
       }
 
       // Validate sort parameters
-      const allowedSortFields = ['created_at', 'price', 'name'];
+      const allowedSortFields = ['created_at', 'price', 'name', 'relevance', 'distance'];
       if (!allowedSortFields.includes(sortBy)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid sortBy field. Allowed: created_at, price, name'
+          message: 'Invalid sortBy field. Allowed: created_at, price, name, relevance, distance'
+        });
+      }
+
+      if (sortBy === 'distance' && req.query.near === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'sortBy=distance requires near=lat,lng'
+        });
+      }
+
+      if (sortBy === 'relevance' && !search?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'sortBy=relevance requires a search term'
         });
       }
 
@@ -47,17 +224,27 @@ class ProductController {
         });
       }
 
+      const { filters, error } = parseListingFilters(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
       const result = await productService.getProducts({
+        ...filters,
         cursor,
         limit: parsedLimit,
-        search,
-        category,
-        minPrice: minPrice ? parseFloat(minPrice) : null,
-        maxPrice: maxPrice ? parseFloat(maxPrice) : null,
         sortBy,
         sortOrder
       });
 
+      // ?include=farm embeds farm details in each product
+      if (include === 'farm') {
+        result.data = await farmService.attachFarms(result.data);
+      }
+
       return res.status(200).json(result);
     } catch (error) {
       console.error('Error in getProducts controller:', error);
@@ -69,6 +256,13 @@ class ProductController {
         });
       }
 
+      if (error.message === 'Cursor does not match query') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor was issued for a different sort or filter; restart from the first page'
+        });
+      }
+
       return res.status(500).json({
         success: false,
         message: 'Failed to fetch products'
@@ -97,6 +291,606 @@ class ProductController {
       });
     }
   }
+
+  /**
+   * GET /products/facets
+   * Facet counts (categories, price histogram, stock) for the listing filters.
+   */
+  async getFacets(req, res) {
+    try {
+      const { buckets = 10 } = req.query;
+
+      const parsedBuckets = parseInt(buckets);
+      if (!(parsedBuckets >= 1 && parsedBuckets <= MAX_FACET_BUCKETS)) {
+        return res.status(400).json({
+          success: false,
+          message: `buckets must be between 1 and ${MAX_FACET_BUCKETS}`
+        });
+      }
+
+      const { filters, error } = parseListingFilters(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const result = await productService.getFacets({
+        ...filters,
+        buckets: parsedBuckets
+      });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in getFacets controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch facets'
+      });
+    }
+  }
+
+  /**
+   * GET /products/suggest
+   * Typeahead suggestions for product names, served from Redis.
+   */
+  async suggest(req, res) {
+    try {
+      const { q, limit = 8 } = req.query;
+
+      if (typeof q !== 'string' || q.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Query parameter q is required'
+        });
+      }
+
+      const parsedLimit = parseInt(limit);
+      if (!(parsedLimit >= 1 && parsedLimit <= MAX_SUGGESTIONS)) {
+        return res.status(400).json({
+          success: false,
+          message: `Limit must be between 1 and ${MAX_SUGGESTIONS}`
+        });
+      }
+
+      const suggestions = await suggestionService.suggest(q, parsedLimit);
+
+      return res.status(200).json({
+        success: true,
+        data: suggestions
+      });
+    } catch (error) {
+      console.error('Error in suggest controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch suggestions'
+      });
+    }
+  }
+
+  /**
+   * GET /products/export
+   * Streams the (filtered) catalog as CSV or NDJSON.
+   * Rows are read in keyset batches and written as they arrive, honouring
+   * backpressure, so memory use stays flat regardless of catalog size.
+   */
+  async exportProducts(req, res) {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'ndjson'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid format. Allowed: csv, ndjson'
+      });
+    }
+
+    const { filters, error } = parseListingFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Stop reading from MySQL once the client goes away. once() rejects if
+    // the socket emits 'error', which ends the export the same way; the
+    // rejections are caught here since nothing else may be awaiting them
+    let aborted = false;
+    const closed = once(res, 'close')
+      .catch(() => {})
+      .then(() => {
+        aborted = true;
+      });
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain').catch(() => {}), closed]);
+      }
+    };
+
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+      res.status(200);
+      res.setHeader(
+        'Content-Type',
+        format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8'
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="products-${timestamp}.${format}"`
+      );
+
+      if (format === 'csv') {
+        await write(toCsvRow(EXPORT_COLUMNS));
+      }
+
+      for await (const rows of productService.iterateProducts(filters)) {
+        if (aborted) {
+          break;
+        }
+
+        const chunk = rows
+          .map((row) => format === 'csv'
+            // Lists are ";"-separated so the file can be re-imported
+            ? toCsvRow(EXPORT_COLUMNS.map((column) =>
+              Array.isArray(row[column]) ? row[column].join(';') : row[column]))
+            : JSON.stringify(row) + '\n')
+          .join('');
+
+        await write(chunk);
+      }
+
+      return res.end();
+    } catch (error) {
+      console.error('Error in exportProducts controller:', error);
+
+      if (!res.headersSent) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to export products'
+        });
+      }
+
+      // Headers are gone, so the only way to signal failure is to abort
+      res.destroy(error);
+    }
+  }
+
+  /**
+   * POST /products/import
+   * Bulk upsert products from a CSV or NDJSON request body.
+   * Query params: ?format=csv|ndjson&dryRun=true
+   */
+  async importProducts(req, res) {
+    try {
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must be CSV (text/csv) or NDJSON (application/x-ndjson)'
+        });
+      }
+
+      const format = req.query.format || (req.is('application/x-ndjson') ? 'ndjson' : 'csv');
+      if (!['csv', 'ndjson'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid format. Allowed: csv, ndjson'
+        });
+      }
+
+      const result = await productImportService.importProducts(req.body, {
+        format,
+        dryRun: req.query.dryRun === 'true',
+        changedBy: req.ip
+      });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in importProducts controller:', error);
+
+      if (error.message.startsWith('Unterminated quoted field')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to import products'
+      });
+    }
+  }
+
+  /**
+   * GET /products/:id
+   * Get a single product.
+   */
+  async getProduct(req, res) {
+    try {
+      const id = parseProductId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product id'
+        });
+      }
+
+      const product = await productService.getProductById(id, {
+        includeArchived: req.query.includeArchived === 'true'
+      });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const [data] = req.query.include === 'farm'
+        ? await farmService.attachFarms([product])
+        : [product];
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error('Error in getProduct controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch product'
+      });
+    }
+  }
+
+  /**
+   * GET /products/:id/price-history
+   * Price changes of a product, oldest first.
+   * Query params: ?from=2024-01-01&to=2024-02-01&limit=100
+   * A date-only `to` includes that day.
+   */
+  async getPriceHistory(req, res) {
+    try {
+      const id = parseProductId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product id'
+        });
+      }
+
+      const { from, to, limit = 100 } = req.query;
+
+      const parsedFrom = from === undefined ? null : parseTimestamp(from);
+      const parsedTo = to === undefined ? null : parseTimestamp(to, { endOfDay: true });
+      if ((from !== undefined && !parsedFrom) || (to !== undefined && !parsedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be ISO 8601 dates or date-times'
+        });
+      }
+
+      if (parsedFrom && parsedTo && parsedFrom > parsedTo) {
+        return res.status(400).json({
+          success: false,
+          message: 'from cannot be after to'
+        });
+      }
+
+      const parsedLimit = parseInt(limit);
+      if (!(parsedLimit >= 1 && parsedLimit <= MAX_PRICE_HISTORY)) {
+        return res.status(400).json({
+          success: false,
+          message: `Limit must be between 1 and ${MAX_PRICE_HISTORY}`
+        });
+      }
+
+      // History stays readable for archived and deleted products
+      const product = await productService.getProductById(id, { includeArchived: true });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const history = await priceHistoryService.getHistory(id, {
+        from: parsedFrom,
+        to: parsedTo,
+        limit: parsedLimit
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: history.changes,
+        meta: {
+          productId: id,
+          currentPrice: product.price,
+          priceAtStart: history.priceAtStart,
+          count: history.changes.length
+        }
+      });
+    } catch (error) {
+      console.error('Error in getPriceHistory controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch price history'
+      });
+    }
+  }
+
+  /**
+   * POST /products/batch
+   * Get several products by id. Body: { "ids": [1, 2, 3] }
+   */
+  async getProductsBatch(req, res) {
+    return productController._getBatch(req.body?.ids, req.query, res);
+  }
+
+  /**
+   * POST /products
+   * Create a new product.
+   */
+  async createProduct(req, res) {
+    try {
+      const { valid, errors, value } = validateProduct(req.body);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product data',
+          errors
+        });
+      }
+
+      const product = await productService.createProduct(value, {
+        source: 'api',
+        changedBy: req.ip
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: product
+      });
+    } catch (error) {
+      console.error('Error in createProduct controller:', error);
+
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product data',
+          errors: [{ field: 'farm_id', message: 'Farm does not exist' }]
+        });
+      }
+
+      if (error.message === 'Unknown category') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product data',
+          errors: [{ field: 'category', message: 'Category does not exist' }]
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create product'
+      });
+    }
+  }
+
+  /**
+   * PUT /products/:id
+   * Replace all writable fields of a product.
+   */
+  async replaceProduct(req, res) {
+    return productController._update(req, res, { partial: false });
+  }
+
+  /**
+   * PATCH /products/:id
+   * Update only the supplied fields of a product.
+   */
+  async patchProduct(req, res) {
+    return productController._update(req, res, { partial: true });
+  }
+
+  /**
+   * DELETE /products/:id
+   * Soft-delete a product (restorable with POST /products/:id/restore).
+   */
+  async deleteProduct(req, res) {
+    try {
+      const id = parseProductId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product id'
+        });
+      }
+
+      const deleted = await productService.deleteProduct(id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Product deleted',
+        id
+      });
+    } catch (error) {
+      console.error('Error in deleteProduct controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete product'
+      });
+    }
+  }
+
+  /**
+   * POST /products/:id/restore
+   * Bring back a deleted or archived product.
+   */
+  async restoreProduct(req, res) {
+    try {
+      const id = parseProductId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product id'
+        });
+      }
+
+      const product = await productService.restoreProduct(id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: product
+      });
+    } catch (error) {
+      console.error('Error in restoreProduct controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to restore product'
+      });
+    }
+  }
+
+  /**
+   * Shared handler for batch lookups (query string or body).
+   */
+  async _getBatch(rawIds, query, res) {
+    try {
+      const ids = rawIds === undefined || rawIds === '' ? null : parseProductIds(rawIds);
+      if (!ids || ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'ids must be a comma-separated list of positive integers'
+        });
+      }
+
+      if (ids.length > MAX_BATCH_IDS) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_BATCH_IDS} ids can be requested at once`
+        });
+      }
+
+      const results = await productService.getProductsByIds(ids, {
+        includeArchived: query.includeArchived === 'true'
+      });
+      const missing = results.filter((item) => !item.found).map((item) => item.id);
+
+      return res.status(200).json({
+        success: true,
+        data: results,
+        meta: {
+          requested: ids.length,
+          found: ids.length - missing.length,
+          missing
+        }
+      });
+    } catch (error) {
+      console.error('Error in batch products controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch products'
+      });
+    }
+  }
+
+  /**
+   * Shared handler for PUT and PATCH.
+   */
+  async _update(req, res, { partial }) {
+    try {
+      const id = parseProductId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product id'
+        });
+      }
+
+      const { valid, errors, value } = validateProduct(req.body, { partial });
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product data',
+          errors
+        });
+      }
+
+      const product = await productService.updateProduct(id, value, {
+        source: 'api',
+        changedBy: req.ip
+      });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: product
+      });
+    } catch (error) {
+      console.error('Error in updateProduct controller:', error);
+
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product data',
+          errors: [{ field: 'farm_id', message: 'Farm does not exist' }]
+        });
+      }
+
+      if (error.message === 'Unknown category') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product data',
+          errors: [{ field: 'category', message: 'Category does not exist' }]
+        });
+      }
+
+      if (error.message === 'Derived from variants') {
+        return res.status(409).json({
+          success: false,
+          message: 'Product has variants',
+          errors: error.fields.map((field) => ({
+            field,
+            message: `${field} is derived from the product's variants; update the variants instead`
+          }))
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update product'
+      });
+    }
+  }
 }
 
-export default new ProductController();
\ No newline at end of file
+const productController = new ProductController();
+
+export default productController;
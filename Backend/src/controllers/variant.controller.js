@@ -0,0 +1,214 @@
+import productService from '../services/product.service.js';
+import variantService from '../services/variant.service.js';
+import { validateVariant } from '../utils/productValidator.js';
+
+/**
+ * Parses a positive integer id from a route parameter.
+ * Returns null when the id is invalid.
+ */
+function parseId(rawId) {
+  const id = Number(rawId);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Controller for product variant endpoints (/products/:id/variants).
+ */
+class VariantController {
+  /**
+   * GET /products/:id/variants
+   * List a product's variants, cheapest first.
+   */
+  async getVariants(req, res) {
+    try {
+      const productId = parseId(req.params.id);
+      if (!productId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product id'
+        });
+      }
+
+      const product = await productService.getProductById(productId, { includeArchived: true });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const variants = await variantService.getVariants(productId);
+
+      return res.status(200).json({
+        success: true,
+        count: variants.length,
+        data: variants
+      });
+    } catch (error) {
+      console.error('Error in getVariants controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch variants'
+      });
+    }
+  }
+
+  /**
+   * POST /products/:id/variants
+   * Add a variant to a product.
+   */
+  async createVariant(req, res) {
+    try {
+      const productId = parseId(req.params.id);
+      if (!productId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product id'
+        });
+      }
+
+      const { valid, errors, value } = validateVariant(req.body);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid variant data',
+          errors
+        });
+      }
+
+      const product = await productService.getProductById(productId, { includeArchived: true });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const variant = await variantService.createVariant(productId, value, {
+        source: 'api',
+        changedBy: req.ip
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: variant
+      });
+    } catch (error) {
+      console.error('Error in createVariant controller:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'A variant with this sku already exists'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create variant'
+      });
+    }
+  }
+
+  /**
+   * PATCH /products/:id/variants/:variantId
+   * Update only the supplied fields of a variant.
+   */
+  async patchVariant(req, res) {
+    try {
+      const productId = parseId(req.params.id);
+      const variantId = parseId(req.params.variantId);
+      if (!productId || !variantId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product or variant id'
+        });
+      }
+
+      const { valid, errors, value } = validateVariant(req.body, { partial: true });
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid variant data',
+          errors
+        });
+      }
+
+      const variant = await variantService.updateVariant(productId, variantId, value, {
+        source: 'api',
+        changedBy: req.ip
+      });
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: variant
+      });
+    } catch (error) {
+      console.error('Error in patchVariant controller:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'A variant with this sku already exists'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update variant'
+      });
+    }
+  }
+
+  /**
+   * DELETE /products/:id/variants/:variantId
+   * Delete a variant.
+   */
+  async deleteVariant(req, res) {
+    try {
+      const productId = parseId(req.params.id);
+      const variantId = parseId(req.params.variantId);
+      if (!productId || !variantId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product or variant id'
+        });
+      }
+
+      const deleted = await variantService.deleteVariant(productId, variantId, {
+        source: 'api',
+        changedBy: req.ip
+      });
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Variant deleted',
+        id: variantId
+      });
+    } catch (error) {
+      console.error('Error in deleteVariant controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete variant'
+      });
+    }
+  }
+}
+
+const variantController = new VariantController();
+
+export default variantController;
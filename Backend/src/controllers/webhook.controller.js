@@ -1,4 +1,21 @@
-import webhookService from '../services/webhook.service.js';
+import webhookService, { WEBHOOK_EVENT_STATUSES } from '../services/webhook.service.js';
+import { parseTimestamp } from '../utils/timestamp.js';
+
+const DEFAULT_REPLAY_LIMIT = 100;
+// Replays run within the request, so keep each batch short; dry runs only
+// list the events and can cover more
+const MAX_REPLAY_LIMIT = 100;
+const MAX_DRY_RUN_REPLAY_LIMIT = 1000;
+
+/**
+ * Counts replay summaries by outcome.
+ */
+function summarizeReplay(results) {
+  return results.reduce((counts, { outcome }) => {
+    counts[outcome] = (counts[outcome] || 0) + 1;
+    return counts;
+  }, {});
+}
 
 /**
  * Controller for webhook endpoints.
@@ -7,33 +24,26 @@ class WebhookController {
   /**
    * POST /webhook/callback
    * Receives webhook events from external service.
-   * Idempotency handled by middleware.
+   * Idempotency handled by middleware; the event is stored and queued for
+   * the worker, so the response (202) does not wait for processing.
    */
   async handleCallback(req, res) {
     try {
-      const eventData = req.body;
-      const eventDbId = req.eventDbId;
       const isRetry = req.isRetry || false;
 
-      // Process the event
-      const result = await webhookService.processEvent(
-        eventData,
-        eventDbId,
-        isRetry
-      );
+      await webhookService.acceptEvent(req.eventDbId, { isRetry });
 
-      return res.status(200).json({
+      return res.status(202).json({
         success: true,
-        message: 'Webhook processed successfully',
-        event_id: result.event_id,
-        data: result.processed_data
+        message: 'Webhook accepted for processing',
+        event_id: req.body.event_id
       });
     } catch (error) {
-      console.error('Webhook processing error:', error);
+      console.error('Webhook queueing error:', error);
       
       return res.status(500).json({
         success: false,
-        message: 'Failed to process webhook',
+        message: 'Failed to queue webhook',
         error: error.message
       });
     }
@@ -63,10 +73,12 @@ class WebhookController {
    */
   async getEvents(req, res) {
     try {
-      const { status, limit, offset } = req.query;
+      const { status, aggregateType, aggregateId, limit, offset } = req.query;
       
       const events = await webhookService.getEvents({
         status,
+        aggregateType,
+        aggregateId,
         limit,
         offset
       });
@@ -85,6 +97,197 @@ class WebhookController {
       });
     }
   }
+
+  /**
+   * GET /webhook/events/:eventId
+   * Retrieve one event with its processing attempts.
+   */
+  async getEvent(req, res) {
+    try {
+      const event = await webhookService.getEvent(req.params.eventId);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: event
+      });
+    } catch (error) {
+      console.error('Failed to retrieve event:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve webhook event'
+      });
+    }
+  }
+
+  /**
+   * POST /webhook/events/:eventId/replay
+   * Re-run one stored event through its handler.
+   * Query params: ?dryRun=true
+   */
+  async replayEvent(req, res) {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const events = await webhookService.findEventsForReplay({ eventId: req.params.eventId, limit: 1 });
+
+      if (events.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const [result] = await webhookService.replayEvents(events, {
+        dryRun,
+        requestedBy: req.ip
+      });
+
+      return res.status(result.outcome === 'skipped' ? 409 : 200).json({
+        success: result.outcome !== 'failed',
+        dryRun,
+        data: result
+      });
+    } catch (error) {
+      console.error('Webhook replay error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to replay webhook event'
+      });
+    }
+  }
+
+  /**
+   * POST /webhook/events/replay
+   * Re-run stored events matching the filters, oldest first.
+   * Query params: ?status=failed&eventType=order.created&from=2024-05-01&to=2024-05-02&limit=100&dryRun=true
+   * At least one filter is required; a date-only `to` includes that day.
+   */
+  async replayEvents(req, res) {
+    try {
+      const { status, eventType, from: rawFrom, to: rawTo, limit: rawLimit } = req.query;
+      const dryRun = req.query.dryRun === 'true';
+
+      if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`
+        });
+      }
+
+      const from = rawFrom === undefined ? null : parseTimestamp(rawFrom);
+      const to = rawTo === undefined ? null : parseTimestamp(rawTo, { endOfDay: true });
+      if ((rawFrom !== undefined && !from) || (rawTo !== undefined && !to)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be ISO 8601 dates or date-times'
+        });
+      }
+
+      if (!status && !eventType && !from && !to) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one filter (status, eventType, from, to) is required'
+        });
+      }
+
+      const maxLimit = dryRun ? MAX_DRY_RUN_REPLAY_LIMIT : MAX_REPLAY_LIMIT;
+      const limit = rawLimit === undefined ? DEFAULT_REPLAY_LIMIT : Number(rawLimit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return res.status(400).json({
+          success: false,
+          message: `limit must be an integer between 1 and ${maxLimit}`
+        });
+      }
+
+      const events = await webhookService.findEventsForReplay({
+        status,
+        eventType,
+        from,
+        to,
+        limit
+      });
+
+      const results = await webhookService.replayEvents(events, {
+        dryRun,
+        requestedBy: req.ip
+      });
+
+      return res.status(200).json({
+        success: true,
+        dryRun,
+        count: results.length,
+        summary: summarizeReplay(results),
+        results
+      });
+    } catch (error) {
+      console.error('Webhook bulk replay error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to replay webhook events'
+      });
+    }
+  }
+
+  /**
+   * GET /webhook/handlers
+   * List registered webhook handlers with their patterns and policies.
+   */
+  async getHandlers(req, res) {
+    try {
+      const handlers = webhookService.getHandlers();
+
+      return res.status(200).json({
+        success: true,
+        count: handlers.length,
+        handlers
+      });
+    } catch (error) {
+      console.error('Failed to list handlers:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to list webhook handlers'
+      });
+    }
+  }
+
+  /**
+   * GET /webhook/rejections
+   * Retrieve webhook requests rejected by signature verification.
+   */
+  async getRejections(req, res) {
+    try {
+      const { reason, limit, offset } = req.query;
+
+      const rejections = await webhookService.getRejections({
+        reason,
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: rejections.length,
+        rejections
+      });
+    } catch (error) {
+      console.error('Failed to retrieve rejections:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve webhook rejections'
+      });
+    }
+  }
 }
 
 export default new WebhookController();
\ No newline at end of file
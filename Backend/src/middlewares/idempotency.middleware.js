@@ -1,4 +1,5 @@
 import { pool } from '../config/database.js';
+import webhookService, { CALLBACK_LEASE_OWNER, getLeaseSeconds } from '../services/webhook.service.js';
 
 
   // Idempotency middleware for webhooks.
@@ -7,8 +8,9 @@ import { pool } from '../config/database.js';
   // How it works:
   // - Extracts event_id from request body
   // - Checks if event already processed in database
-  // - If duplicate: returns cached response
+  // - If duplicate: returns cached response (the original processed_data)
   // - If new: allows processing and stores result
+  // - If pending but its processing lease expired or it stalled: takes it over
 
   
 export async function idempotencyMiddleware(req, res, next) {
@@ -24,20 +26,23 @@ export async function idempotencyMiddleware(req, res, next) {
   try {
     // Check if event already exists
     const [rows] = await pool.query(
-      'SELECT id, status, processed_at FROM webhook_events WHERE event_id = ?',
+      `SELECT id, status, processed_at, processed_data, validation_errors
+       FROM webhook_events WHERE event_id = ?`,
       [eventId]
     );
 
     if (rows.length > 0) {
       const existingEvent = rows[0];
 
-      // Event already processed successfully
-      if (existingEvent.status === 'processed') {
+      // Event already processed successfully, or discarded as stale
+      if (existingEvent.status === 'processed' || existingEvent.status === 'discarded') {
         return res.status(200).json({
           success: true,
           message: 'Event already processed (idempotent response)',
           event_id: eventId,
-          processed_at: existingEvent.processed_at
+          status: existingEvent.status,
+          processed_at: existingEvent.processed_at,
+          data: existingEvent.processed_data
         });
       }
 
@@ -45,10 +50,41 @@ export async function idempotencyMiddleware(req, res, next) {
       if (existingEvent.status === 'failed') {
         req.isRetry = true;
         req.existingEventId = existingEvent.id;
+        req.eventDbId = existingEvent.id;
         return next();
       }
 
-      // Event is currently being processed (pending)
+      // Payload failed schema validation; resending it will not help
+      if (existingEvent.status === 'rejected') {
+        return res.status(422).json({
+          success: false,
+          message: 'Invalid webhook payload',
+          event_id: eventId,
+          errors: existingEvent.validation_errors
+        });
+      }
+
+      // Event exhausted its retries; resending does not revive it
+      if (existingEvent.status === 'dead_letter') {
+        return res.status(200).json({
+          success: false,
+          message: 'Event is in the dead-letter queue',
+          event_id: eventId,
+          status: existingEvent.status
+        });
+      }
+
+      // Its handler died holding the lease, or its queue message was lost -
+      // this delivery takes over
+      if (existingEvent.status === 'pending' && await webhookService.takeOverStalledEvent(existingEvent.id)) {
+        req.isRetry = true;
+        req.existingEventId = existingEvent.id;
+        req.eventDbId = existingEvent.id;
+        return next();
+      }
+
+      // Event is queued, being handled, waiting for a retry (pending) or
+      // waiting for its predecessor (parked)
       return res.status(409).json({
         success: false,
         message: 'Event is currently being processed',
@@ -56,14 +92,16 @@ export async function idempotencyMiddleware(req, res, next) {
       });
     }
 
-    // New event - insert as pending
+    // New event - insert as pending, leased until it is queued
     const [result] = await pool.query(
-      `INSERT INTO webhook_events (event_id, event_type, payload, status) 
-       VALUES (?, ?, ?, 'pending')`,
+      `INSERT INTO webhook_events (event_id, event_type, payload, status, locked_until, locked_by) 
+       VALUES (?, ?, ?, 'pending', NOW() + INTERVAL ? SECOND, ?)`,
       [
         eventId,
         req.body.event_type || 'unknown',
-        JSON.stringify(req.body)
+        JSON.stringify(req.body),
+        getLeaseSeconds(),
+        CALLBACK_LEASE_OWNER
       ]
     );
 
@@ -86,4 +86,16 @@ export function lenientRateLimiter() {
     maxRequests: 1000,
     keyPrefix: 'ratelimit:lenient:'
   });
-}
\ No newline at end of file
+}
+
+
+  // Export rate limiter for full catalog dumps.
+  // 5 requests per hour.
+
+export function exportRateLimiter() {
+  return rateLimiter({
+    windowMs: 60 * 60 * 1000,  // 1 hour
+    maxRequests: 5,
+    keyPrefix: 'ratelimit:export:'
+  });
+}
@@ -0,0 +1,58 @@
+import webhookService from '../services/webhook.service.js';
+import { validateWebhookEnvelope, validateWebhookPayload } from '../utils/webhookSchemas.js';
+
+
+  // Envelope validation middleware for webhooks.
+  // Runs before idempotencyMiddleware: an event_id or event_type of the
+  // wrong type or length cannot be stored, so the payload is refused with
+  // 422 without recording the event.
+
+export function webhookEnvelopeMiddleware(req, res, next) {
+  const errors = validateWebhookEnvelope(req.body);
+
+  if (errors.length === 0) {
+    return next();
+  }
+
+  return res.status(422).json({
+    success: false,
+    message: 'Invalid webhook payload',
+    errors
+  });
+}
+
+
+  // Schema validation middleware for webhooks.
+  // Runs after idempotencyMiddleware, so the event is already stored.
+
+  // How it works:
+  // - Validates the payload against the schema for its event_type and
+  //   schema_version (see utils/webhookSchemas.js)
+  // - If invalid: marks the event 'rejected' with the field errors and
+  //   returns 422
+  // - Unknown event types follow WEBHOOK_UNKNOWN_EVENT_POLICY
+
+export async function webhookSchemaMiddleware(req, res, next) {
+  const { valid, errors } = validateWebhookPayload(req.body);
+
+  if (valid) {
+    return next();
+  }
+
+  try {
+    await webhookService.rejectEvent(req.eventDbId, errors);
+  } catch (error) {
+    console.error('Failed to mark webhook rejected:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to validate webhook payload'
+    });
+  }
+
+  return res.status(422).json({
+    success: false,
+    message: 'Invalid webhook payload',
+    event_id: req.body.event_id,
+    errors
+  });
+}
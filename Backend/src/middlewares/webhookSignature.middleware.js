@@ -0,0 +1,138 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { redisClient } from '../config/redis.js';
+import webhookService from '../services/webhook.service.js';
+
+
+  // Signature verification middleware for webhooks.
+  // Runs before idempotencyMiddleware so forged events never reach the database.
+
+  // How it works:
+  // - The sender signs `${timestamp}.${rawBody}` with HMAC-SHA256 and sends
+  //   X-Webhook-Timestamp (unix seconds) and X-Webhook-Signature (sha256=<hex>)
+  // - The timestamp must be within WEBHOOK_TOLERANCE_SECONDS of our clock
+  // - Any secret in WEBHOOK_SECRETS (comma-separated) is accepted, so a new
+  //   secret can be rolled out before the old one is retired
+  // - A signature seen before within the window is a replay and is refused;
+  //   the claim is released if the request is not answered with 2xx, so the
+  //   provider can retry an event we failed to accept
+  // - Every rejection is recorded in webhook_rejections
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SIGNATURE_PREFIX = 'sha256=';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const REPLAY_KEY_PREFIX = 'webhook:signature:';
+
+export async function webhookSignatureMiddleware(req, res, next) {
+  const signatureHeader = req.get(SIGNATURE_HEADER);
+  const timestampHeader = req.get(TIMESTAMP_HEADER);
+
+  const reject = async (reason, status = 401, message = 'Invalid webhook signature') => {
+    await webhookService.recordRejection({
+      reason,
+      eventId: req.body?.event_id ?? null,
+      eventType: req.body?.event_type ?? null,
+      sourceIp: req.ip,
+      signature: signatureHeader ?? null,
+      signedAt: timestampHeader ?? null
+    });
+
+    return res.status(status).json({
+      success: false,
+      message,
+      reason
+    });
+  };
+
+  const secrets = getSecrets();
+  if (secrets.length === 0) {
+    console.error('WEBHOOK_SECRETS is not configured; refusing webhook');
+    return reject('not_configured', 503, 'Webhook verification is not configured');
+  }
+
+  if (!signatureHeader) {
+    return reject('missing_signature');
+  }
+  if (!timestampHeader || !/^\d+$/.test(timestampHeader)) {
+    return reject('invalid_timestamp');
+  }
+  if (!req.rawBody) {
+    return reject('missing_body', 400, 'Webhook body must be JSON');
+  }
+
+  const tolerance = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestampHeader));
+  if (ageSeconds > tolerance) {
+    return reject('timestamp_out_of_tolerance');
+  }
+
+  // Several signatures may be sent (one per secret) during rotation
+  const candidates = signatureHeader
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => part.startsWith(SIGNATURE_PREFIX))
+    .map((part) => part.slice(SIGNATURE_PREFIX.length));
+
+  const signedPayload = Buffer.concat([
+    Buffer.from(`${timestampHeader}.`),
+    req.rawBody
+  ]);
+  const matched = candidates.find((candidate) =>
+    secrets.some((secret) => safeEqual(sign(secret, signedPayload), candidate))
+  );
+
+  if (!matched) {
+    return reject('invalid_signature');
+  }
+
+  const replayKey = `${REPLAY_KEY_PREFIX}${matched}`;
+  try {
+    // First use of a signature claims it for the rest of the window
+    const claimed = await redisClient.set(replayKey, '1', {
+      NX: true,
+      EX: tolerance * 2
+    });
+    if (claimed === null) {
+      return reject('replayed');
+    }
+  } catch (error) {
+    console.error('Webhook replay check failed:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify webhook signature'
+    });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      redisClient.del(replayKey).catch((error) => {
+        console.error('Failed to release webhook signature:', error.message);
+      });
+    }
+  });
+
+  next();
+}
+
+/**
+ * Active signing secrets from WEBHOOK_SECRETS. Rotating them is a config
+ * change plus a restart; no code changes are needed.
+ */
+function getSecrets() {
+  return (process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '')
+    .split(',')
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+}
+
+function sign(secret, payload) {
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Constant-time comparison of two hex digests
+function safeEqual(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(actual, 'hex');
+  return expectedBuffer.length === actualBuffer.length &&
+    timingSafeEqual(expectedBuffer, actualBuffer);
+}
@@ -0,0 +1,33 @@
+import express from 'express';
+import categoryController from '../controllers/category.controller.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+
+const router = express.Router();
+
+// Same limits as the product routes, counted separately
+// 100 requests per 15 minutes per IP
+router.use(rateLimiter({
+  windowMs: 15 * 60 * 1000,
+  maxRequests: 100,
+  keyPrefix: 'ratelimit:categories:'
+}));
+
+/**
+ * GET /categories/tree
+ * Nested categories with product counts (including subcategories).
+ */
+router.get('/tree', categoryController.getTree);
+
+/**
+ * POST /categories
+ * Create a category, optionally under a parent.
+ */
+router.post('/', categoryController.createCategory);
+
+/**
+ * DELETE /categories/:id
+ * Delete an empty category.
+ */
+router.delete('/:id', categoryController.deleteCategory);
+
+export default router;
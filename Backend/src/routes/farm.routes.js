@@ -0,0 +1,57 @@
+import express from 'express';
+import farmController from '../controllers/farm.controller.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+
+const router = express.Router();
+
+// Same limits as the product routes, counted separately
+// 100 requests per 15 minutes per IP
+router.use(rateLimiter({
+  windowMs: 15 * 60 * 1000,
+  maxRequests: 100,
+  keyPrefix: 'ratelimit:farms:'
+}));
+
+/**
+ * GET /farms
+ * List farms. Query params: ?verified=true&limit=50&offset=0
+ */
+router.get('/', farmController.getFarms);
+
+/**
+ * GET /farms/:id
+ * Get a single farm.
+ */
+router.get('/:id', farmController.getFarm);
+
+/**
+ * GET /farms/:id/products
+ * List the products a farm sells.
+ */
+router.get('/:id/products', farmController.getFarmProducts);
+
+/**
+ * POST /farms
+ * Create a farm.
+ */
+router.post('/', farmController.createFarm);
+
+/**
+ * PUT /farms/:id
+ * Replace a farm.
+ */
+router.put('/:id', farmController.replaceFarm);
+
+/**
+ * PATCH /farms/:id
+ * Partially update a farm.
+ */
+router.patch('/:id', farmController.patchFarm);
+
+/**
+ * DELETE /farms/:id
+ * Delete a farm (its products are kept, with farm_id cleared).
+ */
+router.delete('/:id', farmController.deleteFarm);
+
+export default router;
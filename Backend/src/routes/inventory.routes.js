@@ -0,0 +1,11 @@
+import express from 'express';
+import inventoryController from '../controllers/inventory.controller.js';
+
+const router = express.Router();
+
+//   GET /inventory/reservations
+//  Stock held by orders (active, committed, released or expired).
+//  Query params: ?orderId=&productId=&status=active&limit=50&offset=0
+router.get('/reservations', inventoryController.getReservations);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import orderController from '../controllers/order.controller.js';
+
+const router = express.Router();
+
+//   GET /orders
+//  List orders created by webhook events.
+//  Query params: ?status=created&paid=true&limit=50&offset=0
+router.get('/', orderController.getOrders);
+
+//   GET /orders/:id
+//  One order (by external order id) with items, transitions and reservations.
+router.get('/:id', orderController.getOrder);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import productController from '../controllers/product.controller.js';
-import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import variantController from '../controllers/variant.controller.js';
+import { rateLimiter, exportRateLimiter } from '../middlewares/rateLimiter.middleware.js';
 
 const router = express.Router();
 
@@ -14,6 +15,10 @@ router.use(rateLimiter({
 /**
  * GET /products
  * List products with pagination, search, filters, and sorting.
+ * With ?ids=1,2,3 returns those products instead (batch lookup).
+ * Search: ?search=tomato&searchMode=natural|boolean&sortBy=relevance
+ * Near me: ?near=lat,lng&radiusKm=25&sortBy=distance
+ * Archived and deleted products only with ?includeArchived=true
  */
 router.get('/', productController.getProducts);
 
@@ -23,4 +28,109 @@ router.get('/', productController.getProducts);
  */
 router.get('/categories', productController.getCategories);
 
+/**
+ * GET /products/facets
+ * Category counts, price histogram and stock counts for the listing filters.
+ * Query params: same filters as GET /products, plus ?buckets=10
+ */
+router.get('/facets', productController.getFacets);
+
+/**
+ * GET /products/suggest
+ * Typeahead suggestions for product names.
+ * Query params: ?q=tom&limit=8
+ */
+router.get('/suggest', productController.suggest);
+
+/**
+ * GET /products/export
+ * Stream the catalog as CSV or NDJSON.
+ * Query params: ?format=csv|ndjson plus the listing filters.
+ * Extra rate limit: 5 exports per hour per IP.
+ */
+router.get('/export', exportRateLimiter(), productController.exportProducts);
+
+/**
+ * POST /products/batch
+ * Get several products by id.
+ */
+router.post('/batch', productController.getProductsBatch);
+
+/**
+ * GET /products/:id
+ * Get a single product.
+ */
+router.get('/:id', productController.getProduct);
+
+/**
+ * GET /products/:id/price-history
+ * Price changes with their source. Query params: ?from=&to=&limit=100
+ */
+router.get('/:id/price-history', productController.getPriceHistory);
+
+/**
+ * GET /products/:id/variants
+ * List a product's variants (pack sizes / SKUs), cheapest first.
+ */
+router.get('/:id/variants', variantController.getVariants);
+
+/**
+ * POST /products
+ * Create a product.
+ */
+router.post('/', productController.createProduct);
+
+/**
+ * POST /products/import
+ * Bulk upsert from CSV (text/csv) or NDJSON (application/x-ndjson).
+ * Query params: ?dryRun=true to validate without writing.
+ */
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'text/plain'], limit: '10mb' }),
+  productController.importProducts
+);
+
+/**
+ * PUT /products/:id
+ * Replace a product.
+ */
+router.put('/:id', productController.replaceProduct);
+
+/**
+ * PATCH /products/:id
+ * Partially update a product.
+ */
+router.patch('/:id', productController.patchProduct);
+
+/**
+ * DELETE /products/:id
+ * Soft-delete a product.
+ */
+router.delete('/:id', productController.deleteProduct);
+
+/**
+ * POST /products/:id/restore
+ * Restore a deleted or archived product.
+ */
+router.post('/:id/restore', productController.restoreProduct);
+
+/**
+ * POST /products/:id/variants
+ * Add a variant with its own price and stock.
+ */
+router.post('/:id/variants', variantController.createVariant);
+
+/**
+ * PATCH /products/:id/variants/:variantId
+ * Partially update a variant.
+ */
+router.patch('/:id/variants/:variantId', variantController.patchVariant);
+
+/**
+ * DELETE /products/:id/variants/:variantId
+ * Delete a variant.
+ */
+router.delete('/:id/variants/:variantId', variantController.deleteVariant);
+
 export default router;
\ No newline at end of file
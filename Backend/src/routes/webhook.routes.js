@@ -1,14 +1,25 @@
 import express from 'express';
 import webhookController from '../controllers/webhook.controller.js';
 import { idempotencyMiddleware } from '../middlewares/idempotency.middleware.js';
+import { webhookSignatureMiddleware } from '../middlewares/webhookSignature.middleware.js';
+import { webhookEnvelopeMiddleware, webhookSchemaMiddleware } from '../middlewares/webhookSchema.middleware.js';
 
 const router = express.Router();
 
 //   POST /webhook/callback
 //   Receives webhook events from external service.
-//   Protected by idempotency middleware.
+//   Signature and envelope (event_id, event_type) are verified before the
+//   idempotency middleware records the event; the stored payload is then
+//   validated against its schema.
  
-router.post('/callback', idempotencyMiddleware, webhookController.handleCallback);
+router.post(
+  '/callback',
+  webhookSignatureMiddleware,
+  webhookEnvelopeMiddleware,
+  idempotencyMiddleware,
+  webhookSchemaMiddleware,
+  webhookController.handleCallback
+);
 
 
 //   POST /webhook/register
@@ -18,7 +29,37 @@ router.post('/register', webhookController.register);
 //   GET /webhook/events
 //  Retrieve all webhook events (for monitoring/debugging).
 //  Query params: ?status=processed&limit=10&offset=0
+//  (status=dead_letter lists events that exhausted their retries;
+//  status=parked|discarded lists out-of-order events, filter with
+//  ?aggregateType=order&aggregateId=ORD-001)
 
 router.get('/events', webhookController.getEvents);
 
+//   GET /webhook/events/:eventId
+//  One event with its processing attempts (timings, outcome, error, result).
+
+router.get('/events/:eventId', webhookController.getEvent);
+
+//   POST /webhook/events/replay
+//  Re-run stored events matching filters (admin), oldest first.
+//  Query params: ?status=failed&eventType=order.created&from=2024-05-01&to=2024-05-02&limit=100&dryRun=true
+
+router.post('/events/replay', webhookController.replayEvents);
+
+//   POST /webhook/events/:eventId/replay
+//  Re-run one stored event (admin). Query params: ?dryRun=true
+
+router.post('/events/:eventId/replay', webhookController.replayEvent);
+
+//   GET /webhook/handlers
+//  Registered event handlers with their patterns, timeouts and retries.
+
+router.get('/handlers', webhookController.getHandlers);
+
+//   GET /webhook/rejections
+//  Requests refused by signature verification (audit trail).
+//  Query params: ?reason=invalid_signature&limit=10&offset=0
+
+router.get('/rejections', webhookController.getRejections);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,62 @@
+import 'dotenv/config';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { pool, testConnection } from '../config/database.js';
+import { initDatabase } from '../config/init-db.js';
+import { connectRedis, redisClient } from '../config/redis.js';
+import productImportService from '../services/productImport.service.js';
+
+/**
+ * Bulk product import script.
+ * Usage:
+ *   npm run import products.csv              -> Upserts products from CSV
+ *   npm run import products.ndjson           -> Upserts products from NDJSON
+ *   npm run import products.csv -- --dry-run -> Validates only, writes nothing
+ */
+async function main() {
+  try {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const file = args.find((arg) => !arg.startsWith('--'));
+
+    if (!file) {
+      console.error('Usage: npm run import <file.csv|file.ndjson> [-- --dry-run]');
+      process.exit(1);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    const format = extension === '.ndjson' || extension === '.jsonl' ? 'ndjson' : 'csv';
+    const content = await readFile(file, 'utf-8');
+
+    await testConnection();
+    await initDatabase();
+    await connectRedis();
+
+    console.log(`📥 Importing ${file} (${format}${dryRun ? ', dry run' : ''})`);
+
+    const result = await productImportService.importProducts(content, {
+      format,
+      dryRun,
+      changedBy: 'cli'
+    });
+
+    for (const { line, errors } of result.errors) {
+      const reasons = errors.map((error) => `${error.field}: ${error.message}`).join('; ');
+      console.log(`❌ Line ${line}: ${reasons}`);
+    }
+
+    console.log(
+      `✅ ${result.accepted} accepted, ${result.rejected} rejected, ` +
+      `${result.upserted} written (${result.totalRows} rows in ${result.durationMs}ms)`
+    );
+
+    await pool.end();
+    await redisClient.quit();
+    process.exit(result.rejected > 0 ? 2 : 0);
+  } catch (error) {
+    console.error('Script failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
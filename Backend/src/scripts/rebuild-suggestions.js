@@ -0,0 +1,33 @@
+import 'dotenv/config';
+import { pool, testConnection } from '../config/database.js';
+import { connectRedis, redisClient } from '../config/redis.js';
+import suggestionService from '../services/suggestion.service.js';
+
+/**
+ * Rebuilds the Redis typeahead index from the products table.
+ * Usage:
+ *   npm run suggest:rebuild
+ */
+async function main() {
+  try {
+    await testConnection();
+    await connectRedis();
+
+    console.log('🔤 Rebuilding product suggestion index...');
+    const startTime = Date.now();
+
+    const total = await suggestionService.rebuildIndex();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ Indexed ${total.toLocaleString()} products in ${duration}s`);
+
+    await pool.end();
+    await redisClient.quit();
+    process.exit(0);
+  } catch (error) {
+    console.error('Script failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
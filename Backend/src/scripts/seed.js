@@ -1,6 +1,7 @@
 import 'dotenv/config';
 import { testConnection } from '../config/database.js';
 import { initDatabase } from '../config/init-db.js';
+import { connectRedis, redisClient } from '../config/redis.js';
 import { seedProducts, clearProducts } from '../utils/seeder.js';
 import { pool } from '../config/database.js';
 
@@ -9,12 +10,13 @@ import { pool } from '../config/database.js';
  * Usage:
  *   npm run seed          -> Seeds 1M products
  *   npm run seed 100000   -> Seeds 100k products
- *   npm run seed clear    -> Clears all products
+ *   npm run seed clear    -> Clears all products (orders are kept)
  */
 async function main() {
   try {
     await testConnection();
     await initDatabase();
+    await connectRedis();
 
     const arg = process.argv[2];
 
@@ -27,6 +29,7 @@ async function main() {
     }
 
     await pool.end();
+    await redisClient.quit();
     process.exit(0);
   } catch (error) {
     console.error('Script failed:', error);
@@ -0,0 +1,124 @@
+import 'dotenv/config';
+import { pool, testConnection } from '../config/database.js';
+import { initDatabase } from '../config/init-db.js';
+import { connectRedis, redisClient } from '../config/redis.js';
+import webhookQueue from '../services/webhookQueue.service.js';
+import webhookService from '../services/webhook.service.js';
+
+/**
+ * Webhook worker: processes events queued by POST /webhook/callback.
+ * Several workers can run side by side; they share one consumer group.
+ * Usage:
+ *   npm run worker
+ */
+const LOOP_ERROR_DELAY_MS = 5000;
+
+let running = true;
+
+async function main() {
+  try {
+    await testConnection();
+    await initDatabase();
+    await connectRedis();
+    await webhookQueue.ensureGroup();
+
+    // Blocking reads get their own connection so they don't stall the
+    // cache/queue commands issued while handling events
+    const reader = redisClient.duplicate();
+    await reader.connect();
+
+    // Events whose handler died are retried once their lease expires, and
+    // events whose queue message was lost are queued again
+    webhookService.startRecoverySweeper();
+    // Early events stop waiting for their predecessor after a timeout
+    webhookService.startParkedEventSweeper();
+
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    console.log(`👷 Webhook worker ${webhookQueue.consumerName} started`);
+
+    while (running) {
+      try {
+        await webhookQueue.promoteDueRetries();
+
+        const messages = [
+          ...await webhookQueue.claimStale(),
+          ...await webhookQueue.read(reader)
+        ];
+
+        for (const message of messages) {
+          await handleMessage(message);
+        }
+      } catch (error) {
+        // Redis or MySQL unavailable: back off and keep going; unacked
+        // messages and overdue events are picked up again later
+        console.error('Worker loop error:', error.message);
+        await new Promise((resolve) => setTimeout(resolve, LOOP_ERROR_DELAY_MS));
+      }
+    }
+
+    await reader.quit();
+    await pool.end();
+    await redisClient.quit();
+    process.exit(0);
+  } catch (error) {
+    console.error('Worker failed:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Processes one queued event. Failures are rescheduled with backoff or
+ * dead-lettered; either way the message is acknowledged, since the retry
+ * is queued as a new message. Events leased by another worker are skipped.
+ * If the failure cannot be recorded the message stays unacknowledged and
+ * is claimed again once idle.
+ */
+async function handleMessage({ messageId, eventDbId }) {
+  try {
+    const result = await webhookService.processEvent(eventDbId, webhookQueue.consumerName);
+    if (result?.rejected) {
+      console.warn(`🚫 Webhook ${result.event_id} rejected: invalid payload`);
+    } else if (result?.discarded) {
+      console.log(`🗑️  Webhook ${result.event_id} discarded: stale sequence ${result.sequence}`);
+    } else if (result?.parked) {
+      console.log(`🅿️  Webhook ${result.event_id} parked: waiting for sequence ${result.last_sequence + 1}`);
+    } else if (result) {
+      console.log(`✅ Processed webhook ${result.event_id}`);
+    }
+  } catch (error) {
+    console.error(`Webhook ${eventDbId} failed:`, error.message);
+
+    let failure;
+    try {
+      failure = await webhookService.recordFailure(eventDbId, error);
+    } catch (recordError) {
+      console.error(`Failed to record failure of webhook ${eventDbId}:`, recordError.message);
+      return;
+    }
+
+    const { deadLetter, retryCount, delayMs } = failure;
+    if (deadLetter) {
+      console.warn(`☠️  Webhook ${eventDbId} moved to dead letter after ${retryCount} failures`);
+    } else {
+      try {
+        await webhookQueue.scheduleRetry(eventDbId, delayMs);
+        console.log(`🔁 Webhook ${eventDbId} retry ${retryCount} in ${delayMs}ms`);
+      } catch (scheduleError) {
+        // next_attempt_at is set, so the recovery sweep requeues it when due
+        console.error(`Failed to schedule retry of webhook ${eventDbId}:`, scheduleError.message);
+      }
+    }
+  }
+
+  await webhookQueue.ack(messageId);
+}
+
+// Finish the current batch, then exit
+function stop() {
+  console.log('🛑 Stopping webhook worker...');
+  running = false;
+}
+
+main();
@@ -0,0 +1,195 @@
+import { pool } from '../config/database.js';
+import { redisClient } from '../config/redis.js';
+
+const TREE_CACHE_KEY = 'categories:tree';
+const TREE_CACHE_TTL = 3600;
+
+const CATEGORY_COLUMNS = ['id', 'name', 'slug', 'parent_id', 'created_at', 'updated_at'];
+
+/**
+ * Service for the category tree.
+ *
+ * Categories are referenced by name or slug wherever the API accepts a
+ * category; filtering by a category includes all of its descendants.
+ */
+class CategoryService {
+  /**
+   * Returns the category tree with counts of visible (not archived or
+   * deleted) products. `productCount` counts products directly in a
+   * category, `totalCount` includes descendants.
+   */
+  async getTree() {
+    try {
+      const cached = await redisClient.get(TREE_CACHE_KEY);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+
+      const [rows] = await pool.query(
+        `SELECT id, name, slug, parent_id FROM categories ORDER BY name`
+      );
+      const [countRows] = await pool.query(
+        `SELECT category_id, COUNT(*) AS count FROM products
+         WHERE is_active = TRUE AND category_id IS NOT NULL
+         GROUP BY category_id`
+      );
+      const counts = new Map(countRows.map((row) => [row.category_id, Number(row.count)]));
+
+      const nodes = new Map(
+        rows.map((row) => [
+          row.id,
+          { ...row, productCount: counts.get(row.id) || 0, totalCount: 0, children: [] }
+        ])
+      );
+
+      const roots = [];
+      for (const node of nodes.values()) {
+        const parent = nodes.get(node.parent_id);
+        if (parent) {
+          parent.children.push(node);
+        } else {
+          roots.push(node);
+        }
+      }
+
+      const sumCounts = (node) => {
+        node.totalCount = node.children.reduce(
+          (total, child) => total + sumCounts(child),
+          node.productCount
+        );
+        return node.totalCount;
+      };
+      roots.forEach(sumCounts);
+
+      await redisClient.setEx(TREE_CACHE_KEY, TREE_CACHE_TTL, JSON.stringify(roots));
+
+      return roots;
+    } catch (error) {
+      console.error('Error fetching category tree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finds a category by name or slug. Returns null if there is none.
+   */
+  async findCategory(nameOrSlug) {
+    const [rows] = await pool.query(
+      `SELECT ${CATEGORY_COLUMNS.join(', ')} FROM categories WHERE name = ? OR slug = ? LIMIT 1`,
+      [nameOrSlug, nameOrSlug]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Looks up several categories by name or slug.
+   * Returns a Map from each given key to its category (unknown keys are absent).
+   */
+  async findCategories(namesOrSlugs) {
+    const keys = [...new Set(namesOrSlugs)];
+    const found = new Map();
+
+    if (keys.length === 0) {
+      return found;
+    }
+
+    const [rows] = await pool.query(
+      `SELECT ${CATEGORY_COLUMNS.join(', ')} FROM categories WHERE name IN (?) OR slug IN (?)`,
+      [keys, keys]
+    );
+
+    for (const key of keys) {
+      const category = rows.find((row) => row.name === key) || rows.find((row) => row.slug === key);
+      if (category) {
+        found.set(key, category);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Returns the ids of a category (by name or slug) and all of its
+   * descendants, or an empty array for an unknown category.
+   */
+  async getCategoryIds(nameOrSlug) {
+    const [rows] = await pool.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id FROM categories WHERE name = ? OR slug = ?
+         UNION ALL
+         SELECT categories.id FROM categories
+         JOIN subtree ON categories.parent_id = subtree.id
+       )
+       SELECT id FROM subtree`,
+      [nameOrSlug, nameOrSlug]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Creates a category from validated fields.
+   */
+  async createCategory({ name, slug, parent_id: parentId }) {
+    const [result] = await pool.query(
+      'INSERT INTO categories (name, slug, parent_id) VALUES (?, ?, ?)',
+      [name, slug, parentId]
+    );
+
+    await this.invalidateTree();
+
+    const [rows] = await pool.query(
+      `SELECT ${CATEGORY_COLUMNS.join(', ')} FROM categories WHERE id = ?`,
+      [result.insertId]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Deletes a category. Archived and deleted products are unlinked from it
+   * first (they keep the name in `category`), matching the tree's counts.
+   * Categories with children or active products are kept by their foreign
+   * keys (ER_ROW_IS_REFERENCED_2). Returns false if the category did not
+   * exist.
+   */
+  async deleteCategory(id) {
+    const connection = await pool.getConnection();
+    let result;
+    try {
+      await connection.beginTransaction();
+
+      await connection.query(
+        'UPDATE products SET category_id = NULL WHERE category_id = ? AND is_active = FALSE',
+        [id]
+      );
+      [result] = await connection.query('DELETE FROM categories WHERE id = ?', [id]);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await this.invalidateTree();
+    return true;
+  }
+
+  /**
+   * Drops the cached tree. Product writes call this too, since they change
+   * the counts.
+   */
+  async invalidateTree() {
+    try {
+      await redisClient.del(TREE_CACHE_KEY);
+    } catch (error) {
+      console.error('Category tree cache invalidation failed:', error);
+    }
+  }
+}
+
+export default new CategoryService();
@@ -0,0 +1,151 @@
+import { pool } from '../config/database.js';
+import productService from './product.service.js';
+
+const FARM_COLUMNS = [
+  'id',
+  'name',
+  'description',
+  'address',
+  'latitude',
+  'longitude',
+  'contact_name',
+  'contact_email',
+  'contact_phone',
+  'verified',
+  'created_at',
+  'updated_at'
+];
+
+// Columns that may be written through the farm API.
+const WRITABLE_FIELDS = FARM_COLUMNS.filter(
+  (column) => !['id', 'created_at', 'updated_at'].includes(column)
+);
+
+/**
+ * Service for farms (the vendors that grow and sell products).
+ */
+class FarmService {
+  /**
+   * Lists farms, optionally only verified ones.
+   */
+  async getFarms({ verified = null, limit = 50, offset = 0 } = {}) {
+    let query = `SELECT ${FARM_COLUMNS.join(', ')} FROM farms`;
+    const params = [];
+
+    if (verified !== null) {
+      query += ' WHERE verified = ?';
+      params.push(verified);
+    }
+
+    query += ' ORDER BY name ASC, id ASC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [rows] = await pool.query(query, params);
+    return rows.map((row) => this._format(row));
+  }
+
+  /**
+   * Gets a single farm. Returns null if not found.
+   */
+  async getFarmById(id) {
+    const [rows] = await pool.query(
+      `SELECT ${FARM_COLUMNS.join(', ')} FROM farms WHERE id = ?`,
+      [id]
+    );
+    return rows[0] ? this._format(rows[0]) : null;
+  }
+
+  /**
+   * Embeds farm details into products as `farm` (null for products
+   * without a farm). Farms are looked up fresh on every call rather than
+   * cached with the listing, so farm edits show up immediately.
+   */
+  async attachFarms(products) {
+    const ids = [...new Set(products.map((product) => product.farm_id).filter(Boolean))];
+    const farms = new Map();
+
+    if (ids.length > 0) {
+      const [rows] = await pool.query(
+        `SELECT ${FARM_COLUMNS.join(', ')} FROM farms WHERE id IN (?)`,
+        [ids]
+      );
+      rows.forEach((row) => farms.set(row.id, this._format(row)));
+    }
+
+    return products.map((product) => ({
+      ...product,
+      farm: farms.get(product.farm_id) || null
+    }));
+  }
+
+  /**
+   * Creates a farm from validated fields.
+   */
+  async createFarm(fields) {
+    const columns = WRITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+
+    const [result] = await pool.query(
+      `INSERT INTO farms (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((column) => fields[column])
+    );
+
+    return this.getFarmById(result.insertId);
+  }
+
+  /**
+   * Updates the given fields of a farm. Returns null if it does not exist.
+   * Moving a farm changes proximity results and distances, so cached
+   * product listings are dropped when its coordinates change.
+   */
+  async updateFarm(id, fields) {
+    const columns = WRITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+
+    if (columns.length > 0) {
+      const [result] = await pool.query(
+        `UPDATE farms SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map((column) => fields[column]), id]
+      );
+
+      const moved = columns.includes('latitude') || columns.includes('longitude');
+      if (moved && result.changedRows > 0) {
+        await productService.invalidateCache();
+      }
+    }
+
+    return this.getFarmById(id);
+  }
+
+  /**
+   * Deletes a farm. Its products stay in the catalog with farm_id = NULL
+   * (ON DELETE SET NULL). Returns false if the farm did not exist.
+   */
+  async deleteFarm(id) {
+    const [productRows] = await pool.query('SELECT id FROM products WHERE farm_id = ?', [id]);
+    const [result] = await pool.query('DELETE FROM farms WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    if (productRows.length > 0) {
+      await productService.invalidateProductCache(productRows.map((row) => row.id));
+    }
+    await productService.invalidateCache();
+
+    return true;
+  }
+
+  /**
+   * Normalizes MySQL types (DECIMAL strings, TINYINT booleans) for JSON.
+   */
+  _format(row) {
+    return {
+      ...row,
+      latitude: row.latitude === null ? null : Number(row.latitude),
+      longitude: row.longitude === null ? null : Number(row.longitude),
+      verified: Boolean(row.verified)
+    };
+  }
+}
+
+export default new FarmService();
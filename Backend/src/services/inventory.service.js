@@ -0,0 +1,390 @@
+import { pool } from '../config/database.js';
+import productService from './product.service.js';
+
+// How long an unpaid order holds its stock (RESERVATION_TTL_MINUTES).
+const DEFAULT_RESERVATION_TTL_MINUTES = 15;
+// Expired reservations released per sweep.
+const EXPIRY_BATCH_SIZE = 500;
+// How long reserveOrder waits for another reservation of the same order.
+const ORDER_LOCK_TIMEOUT_SECONDS = 10;
+
+const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+
+/**
+ * Stock reservations for orders.
+ *
+ * An order holds stock with active reservations (products.reserved_stock /
+ * product_variants.reserved_stock) until its payment completes, which turns
+ * them into stock decrements, or until it is cancelled or the reservation
+ * expires, which releases them. Every transition runs in one transaction,
+ * so an order reserves all of its line items or none.
+ */
+class InventoryService {
+  /**
+   * Reserves stock for every line item of an order.
+   * Items are { product_id, variant_id?, quantity }. Calls for the same
+   * order run one at a time, so overlapping handler runs (a timed-out try
+   * still running while its retry starts) reserve the stock only once.
+   *
+   * @returns {Promise<Object>} - { reserved: true, reservations, expiresAt }
+   *   or { reserved: false, shortages } when any item would oversell
+   */
+  async reserveOrder(orderId, items) {
+    const lines = this.normalizeItems(items);
+
+    // Expired holds must not block new orders
+    await this.releaseExpired();
+
+    const lockName = `inventory:order:${orderId}`;
+    const connection = await pool.getConnection();
+    let locked = false;
+    try {
+      const [[{ acquired }]] = await connection.query(
+        'SELECT GET_LOCK(?, ?) AS acquired',
+        [lockName, ORDER_LOCK_TIMEOUT_SECONDS]
+      );
+      if (acquired !== 1) {
+        throw new Error(`Timed out waiting to reserve stock for order ${orderId}`);
+      }
+      locked = true;
+
+      await connection.beginTransaction();
+
+      // A redelivered order.created (new event id, same order) keeps its holds
+      const [existing] = await connection.query(
+        `SELECT id, product_id, variant_id, quantity, expires_at FROM inventory_reservations
+         WHERE order_id = ? AND status = 'active'
+         FOR UPDATE`,
+        [orderId]
+      );
+      if (existing.length > 0) {
+        await connection.commit();
+        return {
+          reserved: true,
+          reservations: existing,
+          expiresAt: existing[0].expires_at
+        };
+      }
+
+      const shortages = [];
+      for (const line of lines) {
+        const shortage = await this._reserveLine(connection, line);
+        if (shortage !== null) {
+          shortages.push({
+            product_id: line.productId,
+            variant_id: line.variantId,
+            requested: line.quantity,
+            ...shortage
+          });
+        }
+      }
+
+      if (shortages.length > 0) {
+        await connection.rollback();
+        return { reserved: false, shortages };
+      }
+
+      const [[{ expiresAt }]] = await connection.query(
+        'SELECT NOW() + INTERVAL ? MINUTE AS expiresAt',
+        // Read per call: this module loads before app.js runs dotenv.config()
+        [parseInt(process.env.RESERVATION_TTL_MINUTES) || DEFAULT_RESERVATION_TTL_MINUTES]
+      );
+
+      await connection.query(
+        `INSERT INTO inventory_reservations
+           (order_id, product_id, variant_id, quantity, expires_at)
+         VALUES ?`,
+        [lines.map((line) => [orderId, line.productId, line.variantId, line.quantity, expiresAt])]
+      );
+
+      const [reservations] = await connection.query(
+        `SELECT id, product_id, variant_id, quantity, expires_at FROM inventory_reservations
+         WHERE order_id = ? AND status = 'active'`,
+        [orderId]
+      );
+
+      await connection.commit();
+      return { reserved: true, reservations, expiresAt };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      if (locked) {
+        await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+      }
+      connection.release();
+    }
+  }
+
+  /**
+   * Turns an order's active reservations into stock decrements.
+   * Returns the number of reservations committed.
+   */
+  async commitOrder(orderId) {
+    return this._settleOrder(orderId, 'committed');
+  }
+
+  /**
+   * Releases an order's active reservations (e.g. on cancellation).
+   * Returns the number of reservations released.
+   */
+  async releaseOrder(orderId) {
+    return this._settleOrder(orderId, 'released');
+  }
+
+  /**
+   * Releases reservations whose TTL has passed.
+   * Returns the number of reservations expired.
+   */
+  async releaseExpired() {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // SKIP LOCKED lets concurrent sweeps and settlements proceed
+      const [rows] = await connection.query(
+        `SELECT id, product_id, variant_id, quantity FROM inventory_reservations
+         WHERE status = 'active' AND expires_at <= NOW()
+         ORDER BY expires_at
+         LIMIT ?
+         FOR UPDATE SKIP LOCKED`,
+        [EXPIRY_BATCH_SIZE]
+      );
+
+      await this._applyTransition(connection, rows, 'expired');
+      await connection.commit();
+
+      if (rows.length > 0) {
+        console.log(`⌛ Expired ${rows.length} inventory reservations`);
+      }
+      return rows.length;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Releases expired reservations every `intervalMs` in the background.
+   */
+  startExpirySweeper(intervalMs = 60000) {
+    const timer = setInterval(() => {
+      this.releaseExpired().catch((error) => {
+        console.error('Reservation expiry sweep failed:', error);
+      });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Lists reservations, newest first.
+   */
+  async getReservations({ orderId = null, productId = null, status = null, limit = 50, offset = 0 } = {}) {
+    const whereClauses = [];
+    const params = [];
+
+    if (orderId) {
+      whereClauses.push('order_id = ?');
+      params.push(orderId);
+    }
+    if (productId) {
+      whereClauses.push('product_id = ?');
+      params.push(productId);
+    }
+    if (status) {
+      whereClauses.push('status = ?');
+      params.push(status);
+    }
+
+    const where = whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+      `SELECT id, order_id, product_id, variant_id, quantity, status, expires_at, created_at, updated_at
+       FROM inventory_reservations${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Commits or releases all active reservations of an order.
+   */
+  async _settleOrder(orderId, status) {
+    const connection = await pool.getConnection();
+    let rows;
+    try {
+      await connection.beginTransaction();
+
+      [rows] = await connection.query(
+        `SELECT id, product_id, variant_id, quantity FROM inventory_reservations
+         WHERE order_id = ? AND status = 'active'
+         FOR UPDATE`,
+        [orderId]
+      );
+
+      await this._applyTransition(connection, rows, status);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Committed reservations change stock, which listings and items show
+    if (status === 'committed' && rows.length > 0) {
+      await productService.invalidateProductCache(rows.map((row) => row.product_id));
+      await productService.invalidateCache();
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Moves locked active reservations to `status`, giving back the held
+   * units and, for 'committed', taking them out of stock.
+   */
+  async _applyTransition(connection, rows, status) {
+    if (rows.length === 0) {
+      return;
+    }
+
+    const stockChange = status === 'committed' ? 'stock = stock - ?, ' : '';
+
+    // Same lock order as reservations: by product, product row first
+    const sorted = [...rows].sort(
+      (a, b) => a.product_id - b.product_id || (a.variant_id ?? 0) - (b.variant_id ?? 0)
+    );
+
+    for (const row of sorted) {
+      const params = status === 'committed'
+        ? [row.quantity, row.quantity]
+        : [row.quantity];
+
+      await connection.query(
+        `UPDATE products SET ${stockChange}reserved_stock = reserved_stock - ? WHERE id = ?`,
+        [...params, row.product_id]
+      );
+
+      if (row.variant_id) {
+        await connection.query(
+          `UPDATE product_variants SET ${stockChange}reserved_stock = reserved_stock - ? WHERE id = ?`,
+          [...params, row.variant_id]
+        );
+      }
+    }
+
+    await connection.query(
+      'UPDATE inventory_reservations SET status = ? WHERE id IN (?)',
+      [status, rows.map((row) => row.id)]
+    );
+  }
+
+  /**
+   * Holds `quantity` units of one line item if enough are available.
+   * Returns null on success, or { available, reason? } on a shortage.
+   *
+   * The product row is locked first, then the variant row, so concurrent
+   * orders for different variants of one product queue on the product
+   * instead of deadlocking on a shared-to-exclusive lock upgrade.
+   */
+  async _reserveLine(connection, { productId, variantId, quantity }) {
+    const [[product]] = await connection.query(
+      `SELECT stock - reserved_stock AS available FROM products
+       WHERE id = ? AND is_active = TRUE
+       FOR UPDATE`,
+      [productId]
+    );
+    if (!product) {
+      return { available: 0, reason: 'product_unavailable' };
+    }
+
+    if (variantId) {
+      // The product row mirrors its variants' totals
+      const [result] = await connection.query(
+        `UPDATE product_variants
+         SET reserved_stock = reserved_stock + ?
+         WHERE id = ? AND product_id = ? AND stock - reserved_stock >= ?`,
+        [quantity, variantId, productId, quantity]
+      );
+
+      if (result.affectedRows === 0) {
+        const [[row]] = await connection.query(
+          'SELECT stock - reserved_stock AS available FROM product_variants WHERE id = ? AND product_id = ?',
+          [variantId, productId]
+        );
+        return { available: Math.max(Number(row?.available ?? 0), 0) };
+      }
+
+      await connection.query(
+        'UPDATE products SET reserved_stock = reserved_stock + ? WHERE id = ?',
+        [quantity, productId]
+      );
+      return null;
+    }
+
+    // Stock of a product with variants belongs to the variants: reserving
+    // against the product total would let variant orders sell it again
+    const [[{ variantCount }]] = await connection.query(
+      'SELECT COUNT(*) AS variantCount FROM product_variants WHERE product_id = ?',
+      [productId]
+    );
+    if (variantCount > 0) {
+      return { available: 0, reason: 'variant_required' };
+    }
+
+    if (Number(product.available) < quantity) {
+      return { available: Math.max(Number(product.available), 0) };
+    }
+
+    await connection.query(
+      'UPDATE products SET reserved_stock = reserved_stock + ? WHERE id = ?',
+      [quantity, productId]
+    );
+    return null;
+  }
+
+  /**
+   * Validates line items, merges duplicates and sorts them so concurrent
+   * orders lock rows in the same order (avoiding deadlocks).
+   * Returns [{ productId, variantId, quantity }]; throws on malformed items.
+   */
+  normalizeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Order must contain at least one item');
+    }
+
+    const lines = new Map();
+    for (const item of items) {
+      const productId = Number(item?.product_id);
+      const variantId = item?.variant_id == null ? null : Number(item.variant_id);
+      const quantity = Number(item?.quantity);
+
+      if (
+        !Number.isInteger(productId) || productId <= 0 ||
+        (variantId !== null && (!Number.isInteger(variantId) || variantId <= 0)) ||
+        !Number.isInteger(quantity) || quantity <= 0
+      ) {
+        throw new Error('Order items need a positive integer product_id and quantity');
+      }
+
+      const key = `${productId}:${variantId ?? ''}`;
+      const line = lines.get(key) || { productId, variantId, quantity: 0 };
+      line.quantity += quantity;
+      lines.set(key, line);
+    }
+
+    return [...lines.values()].sort(
+      (a, b) => a.productId - b.productId || (a.variantId ?? 0) - (b.variantId ?? 0)
+    );
+  }
+}
+
+export { RESERVATION_STATUSES };
+export default new InventoryService();
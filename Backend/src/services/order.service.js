@@ -0,0 +1,300 @@
+import { pool } from '../config/database.js';
+import inventoryService from './inventory.service.js';
+
+// Allowed status changes. delivered, cancelled and rejected are final;
+// rejected is only set by rejectOrder, when the order's stock cannot be reserved.
+const ORDER_TRANSITIONS = {
+  created: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+  rejected: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const ORDER_COLUMNS = [
+  'id',
+  'order_id',
+  'customer_id',
+  'status',
+  'total',
+  'paid',
+  'payment_id',
+  'paid_at',
+  'created_at',
+  'updated_at'
+];
+
+/**
+ * Service for orders received through webhooks.
+ */
+class OrderService {
+  /**
+   * Stores an order from an order.created event as 'created'. Its stock is
+   * reserved separately (see webhooks/inventory.handlers.js), which rejects
+   * the order if it would oversell. A redelivered order (same order_id)
+   * returns the stored order untouched.
+   *
+   * @returns {Promise<Object>} - { order, created }
+   */
+  async createOrder(data, eventId = null) {
+    const orderId = String(data.order_id);
+    const existing = await this.getOrder(orderId);
+    if (existing) {
+      return { order: existing, created: false };
+    }
+
+    const lines = inventoryService.normalizeItems(data.items);
+    const prices = await this._currentPrices(lines);
+
+    const items = lines.map((line) => ({
+      ...line,
+      unitPrice: prices.get(`${line.productId}:${line.variantId ?? ''}`) ?? null
+    }));
+    const total = items.reduce(
+      (sum, item) => sum + (item.unitPrice === null ? 0 : Number(item.unitPrice) * item.quantity),
+      0
+    );
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        `INSERT INTO orders (order_id, customer_id, status, total) VALUES (?, ?, 'created', ?)`,
+        [orderId, data.customer_id ?? null, Math.round(total * 100) / 100]
+      );
+
+      await connection.query(
+        'INSERT INTO order_items (order_id, product_id, variant_id, quantity, unit_price) VALUES ?',
+        [items.map((item) => [result.insertId, item.productId, item.variantId, item.quantity, item.unitPrice])]
+      );
+
+      await connection.query(
+        `INSERT INTO order_transitions (order_id, from_status, to_status, event_id) VALUES (?, NULL, 'created', ?)`,
+        [result.insertId, eventId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+
+      // Created concurrently by another delivery of the same order
+      if (error.code === 'ER_DUP_ENTRY') {
+        return { order: await this.getOrder(orderId), created: false };
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return { order: await this.getOrder(orderId), created: true };
+  }
+
+  /**
+   * Marks a 'created' order 'rejected' because its stock could not be
+   * reserved. Orders in any other status are left unchanged. Throws
+   * "Unknown order" when the order does not exist.
+   *
+   * @returns {Promise<Object>} - { order, applied }
+   */
+  async rejectOrder(orderId, eventId = null) {
+    const connection = await pool.getConnection();
+    let applied = false;
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        'SELECT id, status FROM orders WHERE order_id = ? FOR UPDATE',
+        [orderId]
+      );
+      if (rows.length === 0) {
+        throw new Error('Unknown order');
+      }
+
+      if (rows[0].status === 'created') {
+        await connection.query(`UPDATE orders SET status = 'rejected' WHERE id = ?`, [rows[0].id]);
+        await connection.query(
+          `INSERT INTO order_transitions (order_id, from_status, to_status, event_id) VALUES (?, 'created', 'rejected', ?)`,
+          [rows[0].id, eventId]
+        );
+        applied = true;
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return { order: await this.getOrder(orderId), applied };
+  }
+
+  /**
+   * Moves an order to `status` if the state machine allows it. Cancelling
+   * releases the order's reserved stock. Throws "Unknown order" when the
+   * order does not exist.
+   *
+   * @returns {Promise<Object>} - { order, applied, from, to }; applied is
+   *   false for illegal transitions, which leave the order unchanged
+   */
+  async transitionOrder(orderId, status, eventId = null) {
+    const connection = await pool.getConnection();
+    let from;
+    let applied = false;
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        'SELECT id, status FROM orders WHERE order_id = ? FOR UPDATE',
+        [orderId]
+      );
+      if (rows.length === 0) {
+        throw new Error('Unknown order');
+      }
+
+      from = rows[0].status;
+      if (ORDER_TRANSITIONS[from]?.includes(status)) {
+        await connection.query('UPDATE orders SET status = ? WHERE id = ?', [status, rows[0].id]);
+        await connection.query(
+          'INSERT INTO order_transitions (order_id, from_status, to_status, event_id) VALUES (?, ?, ?, ?)',
+          [rows[0].id, from, status, eventId]
+        );
+        applied = true;
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (applied && status === 'cancelled') {
+      await inventoryService.releaseOrder(orderId);
+    }
+
+    return { order: await this.getOrder(orderId), applied, from, to: status };
+  }
+
+  /**
+   * Marks an order paid and turns its reservations into stock decrements.
+   * Throws "Unknown order" when the order does not exist.
+   *
+   * @returns {Promise<Object>} - { order, committedReservations }
+   */
+  async markPaid(orderId, paymentId = null) {
+    const [result] = await pool.query(
+      `UPDATE orders SET paid = TRUE, payment_id = ?, paid_at = COALESCE(paid_at, NOW())
+       WHERE order_id = ?`,
+      [paymentId, orderId]
+    );
+    if (result.affectedRows === 0) {
+      throw new Error('Unknown order');
+    }
+
+    const committedReservations = await inventoryService.commitOrder(orderId);
+
+    return { order: await this.getOrder(orderId), committedReservations };
+  }
+
+  /**
+   * Lists orders, newest first.
+   */
+  async getOrders({ status = null, paid = null, limit = 50, offset = 0 } = {}) {
+    const whereClauses = [];
+    const params = [];
+
+    if (status) {
+      whereClauses.push('status = ?');
+      params.push(status);
+    }
+    if (paid !== null) {
+      whereClauses.push('paid = ?');
+      params.push(paid);
+    }
+
+    const where = whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+      `SELECT ${ORDER_COLUMNS.join(', ')} FROM orders${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    return rows.map((row) => this._format(row));
+  }
+
+  /**
+   * Gets an order by its external order_id. Returns null if not found.
+   * With `details`, includes its items, status transitions and reservations.
+   */
+  async getOrder(orderId, { details = false } = {}) {
+    const [rows] = await pool.query(
+      `SELECT ${ORDER_COLUMNS.join(', ')} FROM orders WHERE order_id = ?`,
+      [orderId]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const order = this._format(rows[0]);
+    if (!details) {
+      return order;
+    }
+
+    const [items] = await pool.query(
+      `SELECT product_id, variant_id, quantity, unit_price FROM order_items
+       WHERE order_id = ? ORDER BY id`,
+      [order.id]
+    );
+    const [transitions] = await pool.query(
+      `SELECT from_status, to_status, event_id, created_at FROM order_transitions
+       WHERE order_id = ? ORDER BY id`,
+      [order.id]
+    );
+    const reservations = await inventoryService.getReservations({ orderId, limit: 100 });
+
+    return { ...order, items, transitions, reservations };
+  }
+
+  /**
+   * Current prices of the ordered products and variants, keyed
+   * "productId:variantId" (empty variant for plain products).
+   */
+  async _currentPrices(lines) {
+    const prices = new Map();
+    const productIds = lines.filter((line) => !line.variantId).map((line) => line.productId);
+    const variantIds = lines.filter((line) => line.variantId).map((line) => line.variantId);
+
+    if (productIds.length > 0) {
+      const [rows] = await pool.query('SELECT id, price FROM products WHERE id IN (?)', [productIds]);
+      rows.forEach((row) => prices.set(`${row.id}:`, row.price));
+    }
+    if (variantIds.length > 0) {
+      const [rows] = await pool.query(
+        'SELECT id, product_id, price FROM product_variants WHERE id IN (?)',
+        [variantIds]
+      );
+      rows.forEach((row) => prices.set(`${row.product_id}:${row.id}`, row.price));
+    }
+
+    return prices;
+  }
+
+  /**
+   * Normalizes MySQL types (TINYINT booleans) for JSON.
+   */
+  _format(row) {
+    return { ...row, paid: Boolean(row.paid) };
+  }
+}
+
+export { ORDER_STATUSES, ORDER_TRANSITIONS };
+export default new OrderService();
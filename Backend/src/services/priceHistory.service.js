@@ -0,0 +1,126 @@
+import { pool } from '../config/database.js';
+
+// What can change a price. External catalog syncs record 'external_sync'.
+export const PRICE_CHANGE_SOURCES = ['api', 'import', 'external_sync'];
+
+/**
+ * Service for the product price audit trail.
+ */
+class PriceHistoryService {
+  /**
+   * Records price changes and marks the changed products with their previous
+   * price. Each change is { productId, oldPrice, newPrice }; an oldPrice of
+   * null records a product's initial price. Unchanged prices are skipped.
+   *
+   * @param {Array<Object>} changes
+   * @param {Object} audit
+   * @param {string} audit.source - One of PRICE_CHANGE_SOURCES
+   * @param {string|null} audit.changedBy - Who made the change (client IP, "cli", ...)
+   */
+  async recordChanges(changes, { source = 'api', changedBy = null } = {}) {
+    if (!PRICE_CHANGE_SOURCES.includes(source)) {
+      throw new Error(`Unknown price change source: ${source}`);
+    }
+
+    const recorded = changes.filter(
+      ({ oldPrice, newPrice }) => oldPrice === null || Number(oldPrice) !== Number(newPrice)
+    );
+
+    if (recorded.length === 0) {
+      return;
+    }
+
+    const changedAt = new Date();
+
+    await pool.query(
+      `INSERT INTO product_price_history
+         (product_id, old_price, new_price, source, changed_by, changed_at)
+       VALUES ?`,
+      [recorded.map(({ productId, oldPrice, newPrice }) => [
+        productId,
+        oldPrice,
+        newPrice,
+        source,
+        changedBy,
+        changedAt
+      ])]
+    );
+
+    const updated = recorded.filter(({ oldPrice }) => oldPrice !== null);
+    if (updated.length > 0) {
+      await pool.query(
+        `UPDATE products
+         SET previous_price = CASE id ${updated.map(() => 'WHEN ? THEN ?').join(' ')} END,
+             price_changed_at = ?
+         WHERE id IN (?)`,
+        [
+          ...updated.flatMap(({ productId, oldPrice }) => [productId, oldPrice]),
+          changedAt,
+          updated.map(({ productId }) => productId)
+        ]
+      );
+    }
+  }
+
+  /**
+   * Current prices of the given products, as a Map of id -> price.
+   * Used to snapshot prices before a write that may change them.
+   */
+  async getPrices(ids) {
+    const prices = new Map();
+    const list = [].concat(ids);
+
+    if (list.length === 0) {
+      return prices;
+    }
+
+    const [rows] = await pool.query('SELECT id, price FROM products WHERE id IN (?)', [list]);
+    rows.forEach((row) => prices.set(row.id, row.price));
+
+    return prices;
+  }
+
+  /**
+   * Price changes of a product between `from` and `to` (inclusive), oldest
+   * first. `priceAtStart` is the price in effect at `from` (null when there
+   * is no earlier record or no `from`).
+   */
+  async getHistory(productId, { from = null, to = null, limit = 100 } = {}) {
+    const whereClauses = ['product_id = ?'];
+    const params = [productId];
+
+    if (from) {
+      whereClauses.push('changed_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      whereClauses.push('changed_at <= ?');
+      params.push(to);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT id, old_price, new_price, source, changed_by, changed_at
+       FROM product_price_history
+       WHERE ${whereClauses.join(' AND ')}
+       ORDER BY changed_at ASC, id ASC
+       LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+
+    let priceAtStart = null;
+    if (from) {
+      const [[previous]] = await pool.query(
+        `SELECT new_price FROM product_price_history
+         WHERE product_id = ? AND changed_at < ?
+         ORDER BY changed_at DESC, id DESC
+         LIMIT 1`,
+        [productId, from]
+      );
+      priceAtStart = previous ? previous.new_price : null;
+    }
+
+    return { priceAtStart, changes: rows };
+  }
+}
+
+export default new PriceHistoryService();
@@ -1,5 +1,10 @@
+import { createHash } from "crypto";
 import { pool } from "../config/database.js";
 import { redisClient } from "../config/redis.js";
+import suggestionService from "./suggestion.service.js";
+import categoryService from "./category.service.js";
+import priceHistoryService from "./priceHistory.service.js";
+import { normalizedUnitPrice } from "../utils/units.js";
 
 // Cache product listings for 5 minutes. This balances:
 // - Reducing DB queries during traffic spikes
@@ -7,6 +12,82 @@ import { redisClient } from "../config/redis.js";
 const CACHE_TTL = 300;
 const CACHE_PREFIX = "products:list:";
 
+// InnoDB's default innodb_ft_min_token_size; shorter terms use LIKE instead.
+const FULLTEXT_MIN_TOKEN_SIZE = 3;
+// Characters with special meaning in BOOLEAN MODE, stripped from user terms.
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+const CATEGORIES_CACHE_KEY = "products:categories";
+const FACETS_CACHE_PREFIX = "products:facets:";
+
+// Single products are cached under their own key so a write only evicts
+// that product, not every cached item. Keys live outside CACHE_PREFIX.
+const ITEM_CACHE_PREFIX = "products:item:";
+
+// Proximity search defaults ("near me").
+const DEFAULT_RADIUS_KM = 25;
+const KM_PER_DEGREE = 111.045; // km per degree of latitude
+// Widens the proximity bounding box; its edges are geodesics, not parallels
+const BOX_PADDING = 1.05;
+
+// Rows fetched per keyset batch when exporting the catalog.
+const EXPORT_BATCH_SIZE = 1000;
+
+// Columns that may be written through the product write API.
+const WRITABLE_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "unit",
+  "pack_size",
+  "category",
+  "category_id",
+  "farm_id",
+  "stock",
+  "harvested_at",
+  "shelf_life_days",
+  "organic",
+  "certifications",
+  "archived",
+];
+const EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "description",
+  "price",
+  "previous_price",
+  "price_changed_at",
+  "unit",
+  "pack_size",
+  "category",
+  "category_id",
+  "farm_id",
+  "stock",
+  "harvested_at",
+  "shelf_life_days",
+  "organic",
+  "certifications",
+  "archived",
+  "deleted_at",
+  "created_at",
+  "updated_at",
+];
+const PRODUCT_COLUMNS = EXPORT_COLUMNS.join(", ");
+const VARIANT_COLUMNS = [
+  "id",
+  "product_id",
+  "sku",
+  "label",
+  "unit",
+  "pack_size",
+  "price",
+  "stock",
+  "created_at",
+  "updated_at",
+];
+
+// Upper bound of DECIMAL(10, 2), used when only minPrice is given.
+const MAX_PRICE = 99999999.99;
+
 //Product service for high-performance product listing.
  // Implements cursor-based pagination, search, filters, and caching.
 class ProductService {
@@ -15,27 +96,21 @@ class ProductService {
     // Uses cursor-based pagination for better performance at scale.
 
   async getProducts(options = {}) {
-    const {
-      cursor = null, 
-      limit = 20, 
-      search = null, 
-      category = null, 
-      minPrice = null, 
-      maxPrice = null, 
-      sortBy = "created_at", 
-      sortOrder = "desc",
-    } = options;
-    // Sanitize search term to prevent MySQL full-text syntax errors
-    if (search && search.trim().length < 2) {
-      search = null; // Ignore very short searches
-    }
-    if (minPrice && maxPrice && minPrice > maxPrice) {
-      return res.status(400).json({
-        message: "minPrice cannot be greater than maxPrice",
-      });
-    }
+    const normalizedOptions = {
+      cursor: null,
+      limit: 20,
+      category: null,
+      minPrice: null,
+      maxPrice: null,
+      sortBy: "created_at",
+      sortOrder: "desc",
+      ...options,
+      search: options.search?.trim() || null,
+      searchMode: options.searchMode === "boolean" ? "boolean" : "natural",
+    };
+
     // Generate cache key based on query parameters
-    const cacheKey = this._generateCacheKey(options);
+    const cacheKey = this._generateCacheKey(normalizedOptions);
 
     try {
       // Try to get from cache
@@ -48,7 +123,7 @@ class ProductService {
       console.log("❌ Cache miss:", cacheKey);
 
       // Build query
-      const queryResult = await this._buildAndExecuteQuery(options);
+      const queryResult = await this._buildAndExecuteQuery(normalizedOptions);
 
       // Cache the result
       await redisClient.setEx(cacheKey, CACHE_TTL, JSON.stringify(queryResult));
@@ -61,98 +136,162 @@ class ProductService {
   }
 
   // Builds and executes the SQL query with all filters and pagination.
-  async _buildAndExecuteQuery(options) {
-    const {
-      cursor,
-      limit,
-      search,
-      category,
-      minPrice,
-      maxPrice,
-      sortBy,
-      sortOrder,
-    } = options;
+  // Full-text searches that match nothing are retried as a LIKE prefix match;
+  // the strategy used is stored in the cursor so later pages stay on it.
+  async _buildAndExecuteQuery(rawOptions) {
+    const options = await this._resolveCategory(rawOptions);
+    const search = this._prepareSearch(options.search, options.searchMode);
+    const decodedCursor = options.cursor ? this._decodeCursor(options.cursor) : null;
 
-    let query =
-      "SELECT id, name, description, price, category, stock, created_at FROM products";
-    const params = [];
-    const whereClauses = [];
+    let strategy = search && !search.fulltext ? "like" : "fulltext";
+    if (decodedCursor?.m === "like") {
+      strategy = "like";
+    }
 
-    // Cursor-based pagination (decode cursor)
-    if (cursor) {
-      const decodedCursor = this._decodeCursor(cursor);
-      const operator = sortOrder === "asc" ? ">" : "<";
-
-      if (sortBy === "price") {
-        whereClauses.push(`price ${operator} ?`);
-        params.push(decodedCursor.price);
-      } else if (sortBy === "name") {
-        whereClauses.push(`name ${operator} ?`);
-        params.push(decodedCursor.name);
-      } else {
-        whereClauses.push(`created_at ${operator} ?`);
-        params.push(decodedCursor.created_at);
-      }
+    const result = await this._executeListingQuery(options, search, strategy, decodedCursor);
+
+    if (
+      search &&
+      strategy === "fulltext" &&
+      !decodedCursor &&
+      result.data.length === 0 &&
+      search.likeTerm
+    ) {
+      return this._executeListingQuery(options, search, "like", null);
     }
 
-    // Full-text search
+    return result;
+  }
+
+  // Runs one listing query with the given search strategy.
+  async _executeListingQuery(options, search, strategy, decodedCursor) {
+    const { limit, sortBy, sortOrder } = options;
+
+    const selectParams = [];
+    let columns = PRODUCT_COLUMNS;
     if (search) {
-      whereClauses.push(
-        "MATCH(name, description) AGAINST(? IN NATURAL LANGUAGE MODE)",
-      );
-      params.push(search);
+      const relevance = this._relevanceExpression(search, strategy);
+      columns += `, ${relevance.sql} AS relevance`;
+      selectParams.push(...relevance.params);
+    }
+    if (options.near) {
+      const distance = this._distanceExpression(options.near);
+      columns += `, ${distance.sql} AS distance_km`;
+      selectParams.push(...distance.params);
+    }
+    const effectivePrice = this._effectivePriceExpression(options);
+    if (effectivePrice.params.length > 0) {
+      columns += `, ${effectivePrice.sql} AS effective_price`;
+      selectParams.push(...effectivePrice.params);
     }
 
-    // Category filter
-    if (category) {
-      whereClauses.push("category = ?");
-      params.push(category);
+    let query = `SELECT ${columns} FROM products`;
+    const params = [...selectParams];
+    const whereClauses = [];
+
+    const allowedSortFields = ["created_at", "price", "name", "relevance", "distance"];
+    let sortField = allowedSortFields.includes(sortBy)
+      ? sortBy
+      : "created_at";
+    if (
+      (sortField === "relevance" && !search) ||
+      (sortField === "distance" && !options.near)
+    ) {
+      sortField = "created_at";
     }
+    const ascending = sortOrder === "asc";
+    const queryHash = this._hashQuery(options);
 
-    // Price range filter
-    if (minPrice !== null) {
-      whereClauses.push("price >= ?");
-      params.push(minPrice);
+    // Relevance, distance and price-filtered prices are computed, so keyset
+    // comparisons repeat the expression; sorting and cursors use the
+    // selected column
+    let sortKey = { sql: sortField, params: [] };
+    let sortColumn = sortField;
+    if (sortField === "relevance") {
+      sortKey = this._relevanceExpression(search, strategy);
+    } else if (sortField === "distance") {
+      sortKey = this._distanceExpression(options.near);
+      sortColumn = "distance_km";
+    } else if (sortField === "price" && effectivePrice.params.length > 0) {
+      sortKey = effectivePrice;
+      sortColumn = "effective_price";
     }
-    if (maxPrice !== null) {
-      whereClauses.push("price <= ?");
-      params.push(maxPrice);
+
+    // Keyset pagination on (sortField, id). The id tie-breaker keeps rows that
+    // share a price/name/timestamp from being skipped or repeated across pages.
+    // A "prev" cursor walks the same ordering backwards.
+    let direction = "next";
+    if (decodedCursor) {
+      if (decodedCursor.h !== queryHash) {
+        throw new Error("Cursor does not match query");
+      }
+
+      direction = decodedCursor.d === "prev" ? "prev" : "next";
+      const forward = direction === "next" ? ascending : !ascending;
+      const operator = forward ? ">" : "<";
+      const cursorValue =
+        sortField === "created_at" ? new Date(decodedCursor.v) : decodedCursor.v;
+
+      whereClauses.push(
+        `(${sortKey.sql} ${operator} ? OR (${sortKey.sql} = ? AND id ${operator} ?))`,
+      );
+      params.push(
+        ...sortKey.params,
+        cursorValue,
+        ...sortKey.params,
+        cursorValue,
+        decodedCursor.id,
+      );
     }
 
+    // Search, category and price filters
+    const filters = this._buildFilterClauses(options, strategy);
+    whereClauses.push(...filters.whereClauses);
+    params.push(...filters.params);
+
     // Add WHERE clause
     if (whereClauses.length > 0) {
       query += " WHERE " + whereClauses.join(" AND ");
     }
 
-    // Sorting
-    const allowedSortFields = ["created_at", "price", "name"];
-    const sortField = allowedSortFields.includes(sortBy)
-      ? sortBy
-      : "created_at";
-    const sortDirection = sortOrder === "asc" ? "ASC" : "DESC";
-    query += ` ORDER BY ${sortField} ${sortDirection}`;
+    // Sorting (InnoDB secondary indexes carry the primary key, so
+    // idx_price / idx_name / idx_created_at also cover the id tie-breaker)
+    const scanAscending = direction === "next" ? ascending : !ascending;
+    const sortDirection = scanAscending ? "ASC" : "DESC";
+    query += ` ORDER BY ${sortColumn} ${sortDirection}, id ${sortDirection}`;
 
-    // Limit (fetch one extra to check if there's a next page)
+    // Limit (fetch one extra to check if there's another page)
     query += " LIMIT ?";
     params.push(parseInt(limit) + 1);
 
     // Execute query
     const [rows] = await pool.query(query, params);
 
-    // Check if there's a next page
-    const hasNextPage = rows.length > limit;
-    const products = hasNextPage ? rows.slice(0, limit) : rows;
+    // One extra row means there is more data in the scan direction
+    const hasMore = rows.length > limit;
+    const products = await this._attachVariants(
+      (hasMore ? rows.slice(0, limit) : rows).map((row) => this._formatProduct(row)),
+    );
+
+    // Backward scans come back in reverse order
+    if (direction === "prev") {
+      products.reverse();
+    }
+
+    const hasNextPage = direction === "next" ? hasMore : true;
+    const hasPrevPage = direction === "prev" ? hasMore : Boolean(decodedCursor);
 
-    // Generate next cursor
+    // Generate cursors from the page edges
+    const cursorContext = { sortField: sortColumn, queryHash, strategy };
     let nextCursor = null;
-    if (hasNextPage) {
-      const lastProduct = products[products.length - 1];
-      nextCursor = this._encodeCursor({
-        id: lastProduct.id,
-        price: lastProduct.price,
-        name: lastProduct.name,
-        created_at: lastProduct.created_at,
-      });
+    let prevCursor = null;
+    if (products.length > 0) {
+      if (hasNextPage) {
+        nextCursor = this._encodeCursor(products[products.length - 1], cursorContext, "next");
+      }
+      if (hasPrevPage) {
+        prevCursor = this._encodeCursor(products[0], cursorContext, "prev");
+      }
     }
 
     return {
@@ -161,65 +300,525 @@ class ProductService {
       pagination: {
         limit: parseInt(limit),
         nextCursor,
+        prevCursor,
         hasNextPage,
+        hasPrevPage,
       },
       meta: {
         count: products.length,
         cached: false,
+        ...(search && { searchStrategy: strategy }),
       },
     };
   }
 
-  // Encodes cursor for pagination.
-  _encodeCursor(data) {
+  // Turns raw user search input into full-text and LIKE fallback terms.
+  // Returns null when there is nothing to search for.
+  //   natural: the input is matched as-is in NATURAL LANGUAGE MODE
+  //   boolean: "quoted phrases", -exclusions and prefix* wildcards; every
+  //            other boolean operator is stripped from the user input
+  _prepareSearch(search, searchMode = "natural") {
+    if (!search) {
+      return null;
+    }
+
+    if (searchMode !== "boolean") {
+      return {
+        modeSql: "NATURAL LANGUAGE MODE",
+        against: search,
+        // InnoDB does not index tokens shorter than innodb_ft_min_token_size
+        fulltext: search.length >= FULLTEXT_MIN_TOKEN_SIZE,
+        likeTerm: search,
+      };
+    }
+
+    const tokens = [];
+    const positiveTerms = [];
+    const pattern = /(-?)"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(search)) !== null) {
+      if (match[2] !== undefined) {
+        // Quoted phrase
+        const phrase = match[2].replace(BOOLEAN_OPERATORS, " ").replace(/\s+/g, " ").trim();
+        if (phrase) {
+          tokens.push(`${match[1] ? "-" : "+"}"${phrase}"`);
+          if (!match[1]) positiveTerms.push(phrase);
+        }
+        continue;
+      }
+
+      const word = match[3];
+      const exclude = word.startsWith("-");
+      const prefix = word.endsWith("*");
+      const parts = word.replace(BOOLEAN_OPERATORS, " ").trim().split(/\s+/).filter(Boolean);
+
+      parts.forEach((part, index) => {
+        const wildcard = prefix && index === parts.length - 1 ? "*" : "";
+        tokens.push(`${exclude ? "-" : "+"}${part}${wildcard}`);
+        if (!exclude) positiveTerms.push(part);
+      });
+    }
+
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    return {
+      modeSql: "BOOLEAN MODE",
+      against: tokens.join(" "),
+      fulltext: positiveTerms.every((term) => term.length >= FULLTEXT_MIN_TOKEN_SIZE),
+      likeTerm: positiveTerms[0] || null,
+    };
+  }
+
+  // SQL expression for the relevance score of the given search strategy.
+  // LIKE matches have no score, so every row ranks equally (ordered by id).
+  _relevanceExpression(search, strategy) {
+    if (strategy === "like") {
+      return { sql: "0", params: [] };
+    }
+    return {
+      sql: `MATCH(name, description) AGAINST(? IN ${search.modeSql})`,
+      params: [search.against],
+    };
+  }
+
+  // WKT polygon (longitude latitude) around `near` covering radiusKm, padded
+  // by BOX_PADDING for the curvature of its edges and clamped to valid
+  // coordinates.
+  _boundingBox(near, radiusKm) {
+    const latDelta = (radiusKm / KM_PER_DEGREE) * BOX_PADDING;
+    const lngDelta =
+      (radiusKm / (KM_PER_DEGREE * Math.max(Math.cos((near.lat * Math.PI) / 180), 0.01))) *
+      BOX_PADDING;
+    const clamp = (value, limit) => Math.min(Math.max(value, -limit), limit);
+
+    const south = clamp(near.lat - latDelta, 90);
+    const north = clamp(near.lat + latDelta, 90);
+    const west = clamp(near.lng - lngDelta, 180);
+    const east = clamp(near.lng + lngDelta, 180);
+
+    return `POLYGON((${west} ${south}, ${east} ${south}, ${east} ${north}, ${west} ${north}, ${west} ${south}))`;
+  }
+
+  // Distance in km (rounded to metres, so cursor values compare exactly) from
+  // the given point to the product's farm. NULL for products without a farm.
+  _distanceExpression(near) {
+    return {
+      sql: `(SELECT ROUND(ST_Distance_Sphere(POINT(farms.longitude, farms.latitude), POINT(?, ?)) / 1000, 3)
+        FROM farms WHERE farms.id = products.farm_id)`,
+      params: [near.lng, near.lat],
+    };
+  }
+
+  // The price a product is listed at. products.price mirrors the cheapest
+  // variant, so without a price filter it is the plain (indexed) column.
+  // With minPrice/maxPrice it is the cheapest variant inside the range
+  // (NULL if none is), or the product's own price when it has no variants.
+  _effectivePriceExpression(options) {
+    const { minPrice, maxPrice } = options;
+
+    if (
+      (minPrice === null || minPrice === undefined) &&
+      (maxPrice === null || maxPrice === undefined)
+    ) {
+      return { sql: "price", params: [] };
+    }
+
+    return {
+      sql: `(CASE WHEN EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = products.id)
+        THEN (SELECT MIN(pv.price) FROM product_variants pv
+              WHERE pv.product_id = products.id AND pv.price BETWEEN ? AND ?)
+        ELSE price END)`,
+      params: [minPrice ?? 0, maxPrice ?? MAX_PRICE],
+    };
+  }
+
+  // Adds `categoryIds` (the category and all its descendants) for a
+  // category filter given by name or slug. Callers resolve this before
+  // building filter clauses.
+  async _resolveCategory(options) {
+    if (!options.category) {
+      return options;
+    }
+    return {
+      ...options,
+      categoryIds: await categoryService.getCategoryIds(options.category),
+    };
+  }
+
+  // Builds the WHERE clauses shared by listings and facets, so facet counts
+  // always describe the same rows the listing returns.
+  _buildFilterClauses(options, strategy = "fulltext") {
+    const {
+      category,
+      categoryIds,
+      minPrice,
+      maxPrice,
+      farmId,
+      near,
+      radiusKm,
+      harvestedWithinDays,
+      organic,
+      unit,
+      priceChangedSince,
+      includeArchived,
+    } = options;
+    const whereClauses = [];
+    const params = [];
+
+    // Archived and soft-deleted products are hidden unless asked for. The
+    // is_active prefix of the listing indexes keeps this index-friendly.
+    if (!includeArchived) {
+      whereClauses.push("is_active = TRUE");
+    }
+    const search = this._prepareSearch(options.search, options.searchMode);
+
+    // Full-text search, or LIKE word-prefix match on the name as fallback
+    if (search && strategy === "like") {
+      if (search.likeTerm) {
+        const escaped = search.likeTerm.replace(/[\\%_]/g, "\\$&");
+        whereClauses.push("(name LIKE ? OR name LIKE ?)");
+        params.push(`${escaped}%`, `% ${escaped}%`);
+      } else {
+        whereClauses.push("FALSE");
+      }
+    } else if (search) {
+      whereClauses.push(`MATCH(name, description) AGAINST(? IN ${search.modeSql})`);
+      params.push(search.against);
+    }
+
+    // Category filter, including subcategories (unknown categories match nothing)
+    if (category) {
+      if (categoryIds?.length > 0) {
+        whereClauses.push("category_id IN (?)");
+        params.push(categoryIds);
+      } else {
+        whereClauses.push("FALSE");
+      }
+    }
+
+    // Farm filter
+    if (farmId) {
+      whereClauses.push("farm_id = ?");
+      params.push(farmId);
+    }
+
+    // Freshness and produce filters
+    if (harvestedWithinDays !== null && harvestedWithinDays !== undefined) {
+      whereClauses.push("harvested_at >= CURDATE() - INTERVAL ? DAY");
+      params.push(harvestedWithinDays);
+    }
+    if (organic !== null && organic !== undefined) {
+      whereClauses.push("organic = ?");
+      params.push(organic);
+    }
+    if (unit) {
+      whereClauses.push("unit = ?");
+      params.push(unit);
+    }
+
+    // Products whose price changed at or after the given time
+    if (priceChangedSince) {
+      whereClauses.push("price_changed_at >= ?");
+      params.push(new Date(priceChangedSince));
+    }
+
+    // Proximity filter: products from farms within radiusKm of `near`.
+    // The bounding box lets the spatial index on farms.location narrow
+    // farms before the exact check.
+    if (near) {
+      const radius = radiusKm || DEFAULT_RADIUS_KM;
+      whereClauses.push(
+        `farm_id IN (SELECT id FROM farms
+          WHERE ST_Within(location, ST_GeomFromText(?, 4326, 'axis-order=long-lat'))
+            AND latitude IS NOT NULL
+            AND ST_Distance_Sphere(POINT(longitude, latitude), POINT(?, ?)) <= ?)`,
+      );
+      params.push(this._boundingBox(near, radius), near.lng, near.lat, radius * 1000);
+    }
+
+    // Price range filter: at least one variant (or the product itself, when
+    // it has none) must be priced inside the range
+    const effectivePrice = this._effectivePriceExpression(options);
+    if (effectivePrice.params.length > 0) {
+      whereClauses.push(`${effectivePrice.sql} BETWEEN ? AND ?`);
+      params.push(...effectivePrice.params, minPrice ?? 0, maxPrice ?? MAX_PRICE);
+    }
+
+    return { whereClauses, params };
+  }
+
+  // Filter clauses joined into a WHERE string (empty when unfiltered).
+  _buildWhere(options, strategy) {
+    const { whereClauses, params } = this._buildFilterClauses(options, strategy);
+    const where =
+      whereClauses.length > 0 ? ` WHERE ${whereClauses.join(" AND ")}` : "";
+    return { where, params };
+  }
+
+  // Encodes cursor for pagination: the edge row's sort value and id, the
+  // scan direction, the search strategy, and a hash of the sort/filters it
+  // belongs to.
+  _encodeCursor(product, { sortField, queryHash, strategy }, direction) {
+    const data = {
+      v: product[sortField],
+      id: product.id,
+      d: direction,
+      m: strategy,
+      h: queryHash,
+    };
     return Buffer.from(JSON.stringify(data)).toString("base64");
   }
 
 //  Decodes cursor for pagination.
   _decodeCursor(cursor) {
+    let decoded;
     try {
-      return JSON.parse(Buffer.from(cursor, "base64").toString("utf-8"));
+      decoded = JSON.parse(Buffer.from(cursor, "base64").toString("utf-8"));
     } catch (error) {
       throw new Error("Invalid cursor");
     }
+
+    if (!decoded || decoded.v === undefined || !Number.isInteger(decoded.id)) {
+      throw new Error("Invalid cursor");
+    }
+
+    return decoded;
   }
 
-  //  Generates cache key based on query parameters.
-  _generateCacheKey(options) {
+  // Hashes the sort and filter parameters a cursor is bound to.
+  _hashQuery(options) {
+    const { sortBy, sortOrder } = options;
+
+    return createHash("sha256")
+      .update(`${sortBy}:${sortOrder}|${this._filterKey(options)}`)
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  // Serializes every filter _buildFilterClauses understands. Used in cache
+  // keys and cursor hashes; add new filters here as well.
+  _filterKey(options) {
     const {
-      cursor,
-      limit,
       search,
+      searchMode,
       category,
       minPrice,
       maxPrice,
-      sortBy,
-      sortOrder,
+      farmId,
+      near,
+      radiusKm,
+      harvestedWithinDays,
+      organic,
+      unit,
+      priceChangedSince,
+      includeArchived,
     } = options;
 
+    return [
+      `search:${search || "null"}:${searchMode || "natural"}`,
+      `cat:${category || "null"}`,
+      `minp:${minPrice ?? "null"}`,
+      `maxp:${maxPrice ?? "null"}`,
+      `farm:${farmId || "null"}`,
+      `near:${near ? `${near.lat},${near.lng}:${radiusKm || DEFAULT_RADIUS_KM}` : "null"}`,
+      `harvested:${harvestedWithinDays ?? "null"}`,
+      `organic:${organic ?? "null"}`,
+      `unit:${unit || "null"}`,
+      `pricechanged:${priceChangedSince ? new Date(priceChangedSince).toISOString() : "null"}`,
+      `archived:${includeArchived ? "include" : "exclude"}`,
+    ].join("|");
+  }
+
+  //  Generates cache key based on query parameters.
+  _generateCacheKey(options) {
+    const { cursor, limit, sortBy, sortOrder } = options;
+
     const keyParts = [
       CACHE_PREFIX,
       `cursor:${cursor || "null"}`,
       `limit:${limit}`,
-      `search:${search || "null"}`,
-      `cat:${category || "null"}`,
-      `minp:${minPrice || "null"}`,
-      `maxp:${maxPrice || "null"}`,
+      this._filterKey(options),
       `sort:${sortBy}:${sortOrder}`,
     ];
 
     return keyParts.join("|");
   }
 
-    // Invalidates all product list caches.
+  // Yields filtered products in id order, one keyset batch at a time, so
+  // callers can stream the whole catalog without holding it in memory.
+  async *iterateProducts(options = {}, batchSize = EXPORT_BATCH_SIZE) {
+    const filterOptions = await this._resolveCategory({
+      ...options,
+      search: options.search?.trim() || null,
+    });
+    const search = this._prepareSearch(filterOptions.search, filterOptions.searchMode);
+    const strategy = search && !search.fulltext ? "like" : "fulltext";
+    const filters = this._buildFilterClauses(filterOptions, strategy);
+
+    let lastId = 0;
+
+    while (true) {
+      const whereClauses = ["id > ?", ...filters.whereClauses];
+      const [rows] = await pool.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM products
+         WHERE ${whereClauses.join(" AND ")}
+         ORDER BY id LIMIT ?`,
+        [lastId, ...filters.params, batchSize],
+      );
+
+      if (rows.length === 0) {
+        return;
+      }
+
+      yield rows.map((row) => this._formatProduct(row));
+
+      if (rows.length < batchSize) {
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  // Get facet counts for the listing filters: per-category counts, a price
+  // histogram with `buckets` equal-width buckets, and stock availability.
+  async getFacets(options = {}) {
+    const { buckets = 10 } = options;
+    const filterOptions = {
+      ...options,
+      search: options.search?.trim() || null,
+      searchMode: options.searchMode === "boolean" ? "boolean" : "natural",
+    };
+    const { search, searchMode } = filterOptions;
+
+    const cacheKey = [
+      FACETS_CACHE_PREFIX,
+      this._filterKey(filterOptions),
+      `buckets:${buckets}`,
+    ].join("|");
+
+    try {
+      const cachedResult = await redisClient.get(cacheKey);
+      if (cachedResult) {
+        return JSON.parse(cachedResult);
+      }
+
+      Object.assign(filterOptions, await this._resolveCategory(filterOptions));
+
+      const preparedSearch = this._prepareSearch(search, searchMode);
+      let strategy = preparedSearch && !preparedSearch.fulltext ? "like" : "fulltext";
+
+      // Totals, price bounds and stock availability in one pass. Prices are
+      // the same variant-aware prices the listing sorts on.
+      const price = this._effectivePriceExpression(filterOptions);
+      const summarize = async (where, params) => {
+        const [[row]] = await pool.query(
+          `SELECT
+             COUNT(*) AS total,
+             MIN(${price.sql}) AS min_price,
+             MAX(${price.sql}) AS max_price,
+             COALESCE(SUM(stock > 0), 0) AS in_stock,
+             COALESCE(SUM(stock <= 0), 0) AS out_of_stock
+           FROM products${where}`,
+          [...price.params, ...price.params, ...params],
+        );
+        return row;
+      };
+
+      let { where, params } = this._buildWhere(filterOptions, strategy);
+      let summary = await summarize(where, params);
+
+      // Same LIKE fallback as the listing, so counts match what it shows
+      if (
+        preparedSearch?.likeTerm &&
+        strategy === "fulltext" &&
+        Number(summary.total) === 0
+      ) {
+        strategy = "like";
+        ({ where, params } = this._buildWhere(filterOptions, strategy));
+        summary = await summarize(where, params);
+      }
+
+      const [categoryRows] = await pool.query(
+        `SELECT category, COUNT(*) AS count FROM products${where}
+         GROUP BY category ORDER BY category`,
+        params,
+      );
+
+      const priceHistogram = await this._buildPriceHistogram(
+        where,
+        params,
+        summary,
+        buckets,
+        price,
+      );
+
+      const result = {
+        success: true,
+        data: {
+          total: Number(summary.total),
+          categories: categoryRows.map((row) => ({
+            category: row.category,
+            count: Number(row.count),
+          })),
+          priceHistogram,
+          stock: {
+            inStock: Number(summary.in_stock),
+            outOfStock: Number(summary.out_of_stock),
+          },
+        },
+      };
+
+      await redisClient.setEx(cacheKey, CACHE_TTL, JSON.stringify(result));
+
+      return result;
+    } catch (error) {
+      console.error("Error fetching facets:", error);
+      throw error;
+    }
+  }
+
+  // Counts filtered products into equal-width price buckets between the
+  // filtered min and max price. Empty buckets are returned with count 0.
+  async _buildPriceHistogram(where, params, summary, buckets, price) {
+    if (Number(summary.total) === 0) {
+      return [];
+    }
+
+    const low = Number(summary.min_price);
+    const high = Number(summary.max_price);
+    const width = (high - low) / buckets || 1;
+
+    const [rows] = await pool.query(
+      `SELECT LEAST(FLOOR((${price.sql} - ?) / ?), ?) AS bucket, COUNT(*) AS count
+       FROM products${where}
+       GROUP BY bucket`,
+      [...price.params, low, width, buckets - 1, ...params],
+    );
+
+    const counts = new Map(rows.map((row) => [Number(row.bucket), Number(row.count)]));
+
+    return Array.from({ length: buckets }, (_, index) => ({
+      min: Number((low + index * width).toFixed(2)),
+      max: Number((index === buckets - 1 ? high : low + (index + 1) * width).toFixed(2)),
+      count: counts.get(index) || 0,
+    }));
+  }
+
+    // Invalidates all product list, facet and category caches.
   //  Call this when products are created/updated/deleted.
   async invalidateCache() {
     try {
-      const keys = await redisClient.keys(`${CACHE_PREFIX}*`);
-      if (keys.length > 0) {
-        await redisClient.del(keys);
-        console.log(`🗑️  Invalidated ${keys.length} cache entries`);
-      }
+      const keys = [
+        ...(await redisClient.keys(`${CACHE_PREFIX}*`)),
+        ...(await redisClient.keys(`${FACETS_CACHE_PREFIX}*`)),
+        CATEGORIES_CACHE_KEY,
+      ];
+      await redisClient.del(keys);
+      await categoryService.invalidateTree();
+      console.log(`🗑️  Invalidated ${keys.length} cache entries`);
     } catch (error) {
       console.error("Cache invalidation failed:", error);
     }
@@ -227,7 +826,7 @@ class ProductService {
 
   //   Get available categories for filtering.
   async getCategories() {
-    const cacheKey = "products:categories";
+    const cacheKey = CATEGORIES_CACHE_KEY;
 
     try {
       const cached = await redisClient.get(cacheKey);
@@ -248,6 +847,369 @@ class ProductService {
       throw error;
     }
   }
+
+  // Get a single product by id (per-item cache). Returns null if not found,
+  // or if it is archived or deleted and includeArchived is not set.
+  async getProductById(id, { includeArchived = false } = {}) {
+    const cacheKey = `${ITEM_CACHE_PREFIX}${id}`;
+
+    try {
+      const cached = await redisClient.get(cacheKey);
+      let product = cached ? JSON.parse(cached) : null;
+
+      if (!product) {
+        product = await this._findById(id);
+        if (product) {
+          await redisClient.setEx(cacheKey, CACHE_TTL, JSON.stringify(product));
+        }
+      }
+
+      return product && (includeArchived || !this.isHidden(product)) ? product : null;
+    } catch (error) {
+      console.error("Error fetching product:", error);
+      throw error;
+    }
+  }
+
+  // Get several products by id in one round trip per store.
+  // Returns one entry per requested id, in request order, flagging missing ids
+  // (archived and deleted products count as missing unless includeArchived).
+  async getProductsByIds(ids, { includeArchived = false } = {}) {
+    try {
+      const cacheKeys = ids.map((id) => `${ITEM_CACHE_PREFIX}${id}`);
+      const cached = await redisClient.mGet(cacheKeys);
+
+      const found = new Map();
+      const missingIds = [];
+      ids.forEach((id, index) => {
+        if (cached[index]) {
+          found.set(id, JSON.parse(cached[index]));
+        } else {
+          missingIds.push(id);
+        }
+      });
+
+      if (missingIds.length > 0) {
+        const [rows] = await pool.query(
+          `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id IN (?)`,
+          [missingIds],
+        );
+
+        if (rows.length > 0) {
+          const products = await this._attachVariants(
+            rows.map((row) => this._formatProduct(row)),
+          );
+          const multi = redisClient.multi();
+          for (const product of products) {
+            found.set(product.id, product);
+            multi.setEx(`${ITEM_CACHE_PREFIX}${product.id}`, CACHE_TTL, JSON.stringify(product));
+          }
+          await multi.exec();
+        }
+      }
+
+      return ids.map((id) =>
+        found.has(id) && (includeArchived || !this.isHidden(found.get(id)))
+          ? { id, found: true, data: found.get(id) }
+          : { id, found: false, message: "Product not found" },
+      );
+    } catch (error) {
+      console.error("Error fetching products by id:", error);
+      throw error;
+    }
+  }
+
+  // Evicts the cached copy of one product (or of several, given an array).
+  async invalidateProductCache(ids) {
+    try {
+      await redisClient.del([].concat(ids).map((id) => `${ITEM_CACHE_PREFIX}${id}`));
+    } catch (error) {
+      console.error("Product cache invalidation failed:", error);
+    }
+  }
+
+  // Evicts every cached product, e.g. after the catalog is cleared.
+  async clearItemCache() {
+    try {
+      const keys = await redisClient.keys(`${ITEM_CACHE_PREFIX}*`);
+      if (keys.length > 0) {
+        await redisClient.del(keys);
+      }
+    } catch (error) {
+      console.error("Product cache invalidation failed:", error);
+    }
+  }
+
+  // Creates a product from validated fields and returns the stored row.
+  // `audit` ({ source, changedBy }) is recorded with the initial price.
+  async createProduct(rawFields, audit = {}) {
+    const fields = await this._resolveCategoryField(rawFields);
+    const columns = WRITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+    const placeholders = columns.map(() => "?").join(", ");
+
+    const [result] = await pool.query(
+      `INSERT INTO products (${columns.join(", ")}) VALUES (${placeholders})`,
+      columns.map((column) => this.toColumnValue(column, fields[column])),
+    );
+
+    await priceHistoryService.recordChanges(
+      [{ productId: result.insertId, oldPrice: null, newPrice: fields.price }],
+      audit,
+    );
+    await this.invalidateCache();
+
+    const product = await this._findById(result.insertId);
+    await suggestionService.indexProduct(product);
+
+    return product;
+  }
+
+  // Updates the given fields of a product (PUT passes every field, PATCH a subset).
+  // Price and stock of a product with variants are derived from its variants:
+  // sending their current values is accepted (a PUT of the product as read),
+  // other values throw "Derived from variants" with the offending `fields`.
+  // Price changes are recorded with `audit`.
+  // Returns the updated row, or null if the product does not exist.
+  async updateProduct(id, rawFields, audit = {}) {
+    const fields = await this._resolveCategoryField(rawFields);
+    let columns = WRITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+
+    if (columns.includes("price") || columns.includes("stock")) {
+      const [[row]] = await pool.query(
+        `SELECT price, stock,
+           (SELECT COUNT(*) FROM product_variants WHERE product_id = products.id) AS variants
+         FROM products WHERE id = ?`,
+        [id],
+      );
+      if (row && Number(row.variants) > 0) {
+        const derived = ["price", "stock"].filter(
+          (column) => columns.includes(column) && Number(fields[column]) !== Number(row[column]),
+        );
+        if (derived.length > 0) {
+          const error = new Error("Derived from variants");
+          error.fields = derived;
+          throw error;
+        }
+        columns = columns.filter((column) => column !== "price" && column !== "stock");
+      }
+    }
+
+    if (columns.length > 0) {
+      const previousPrices = columns.includes("price")
+        ? await priceHistoryService.getPrices(id)
+        : new Map();
+
+      await pool.query(
+        `UPDATE products SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+        [...columns.map((column) => this.toColumnValue(column, fields[column])), id],
+      );
+
+      if (previousPrices.has(id)) {
+        await priceHistoryService.recordChanges(
+          [{ productId: id, oldPrice: previousPrices.get(id), newPrice: fields.price }],
+          audit,
+        );
+      }
+    }
+
+    const product = await this._findById(id);
+    if (product) {
+      await this.invalidateProductCache(id);
+      await this.invalidateCache();
+      if (this.isHidden(product)) {
+        await suggestionService.removeProduct(id);
+      } else {
+        await suggestionService.indexProduct(product);
+      }
+    }
+
+    return product;
+  }
+
+  // Soft-deletes a product: it disappears from listings and lookups but the
+  // row stays for the orders and history that reference it. Returns false if
+  // it did not exist or was already deleted.
+  async deleteProduct(id) {
+    const [result] = await pool.query(
+      "UPDATE products SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
+      [id],
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await this.invalidateProductCache(id);
+    await this.invalidateCache();
+    await suggestionService.removeProduct(id);
+    return true;
+  }
+
+  // Brings back a deleted and/or archived product. Returns the product, or
+  // null if it does not exist.
+  async restoreProduct(id) {
+    // Products unlinked by a category delete are linked again by name, if
+    // that category exists
+    await pool.query(
+      `UPDATE products
+       LEFT JOIN categories ON categories.name = products.category
+       SET products.deleted_at = NULL, products.archived = FALSE,
+         products.category_id = COALESCE(products.category_id, categories.id)
+       WHERE products.id = ?`,
+      [id],
+    );
+
+    const product = await this._findById(id);
+    if (product) {
+      await this.invalidateProductCache(id);
+      await this.invalidateCache();
+      await suggestionService.indexProduct(product);
+    }
+
+    return product;
+  }
+
+  // Whether a product is archived or soft-deleted (hidden from the catalog).
+  isHidden(product) {
+    return Boolean(product.archived || product.deleted_at);
+  }
+
+  // Replaces a category name or slug with the category's canonical name and
+  // sets category_id. Throws "Unknown category" if there is no such category.
+  async _resolveCategoryField(fields) {
+    if (fields.category === undefined) {
+      return fields;
+    }
+
+    const category = await categoryService.findCategory(fields.category);
+    if (!category) {
+      throw new Error("Unknown category");
+    }
+
+    return { ...fields, category: category.name, category_id: category.id };
+  }
+
+  // Recomputes products.price (cheapest variant) and products.stock (total
+  // variant stock) for the given products. Products without variants keep
+  // their own price and stock. Price changes are recorded with `audit`
+  // unless it is null (callers that record changes themselves).
+  async syncVariantTotals(ids, audit = {}) {
+    const previousPrices = audit ? await priceHistoryService.getPrices(ids) : null;
+
+    await pool.query(
+      `UPDATE products
+       JOIN (
+         SELECT product_id, MIN(price) AS price, SUM(stock) AS stock
+         FROM product_variants
+         WHERE product_id IN (?)
+         GROUP BY product_id
+       ) totals ON totals.product_id = products.id
+       SET products.price = totals.price, products.stock = totals.stock`,
+      [[].concat(ids)],
+    );
+
+    if (previousPrices) {
+      const currentPrices = await priceHistoryService.getPrices(ids);
+      await priceHistoryService.recordChanges(
+        [...currentPrices].map(([productId, price]) => ({
+          productId,
+          oldPrice: previousPrices.get(productId),
+          newPrice: price,
+        })),
+        audit,
+      );
+    }
+  }
+
+  // Embeds each product's variants, cheapest first, as `variants`.
+  async _attachVariants(products) {
+    if (products.length === 0) {
+      return products;
+    }
+
+    const [rows] = await pool.query(
+      `SELECT ${VARIANT_COLUMNS.join(", ")} FROM product_variants
+       WHERE product_id IN (?)
+       ORDER BY product_id, price, id`,
+      [products.map((product) => product.id)],
+    );
+
+    const variants = new Map();
+    for (const row of rows) {
+      if (!variants.has(row.product_id)) {
+        variants.set(row.product_id, []);
+      }
+      variants.get(row.product_id).push(this.formatVariant(row));
+    }
+
+    return products.map((product) => ({
+      ...product,
+      variants: variants.get(product.id) || [],
+    }));
+  }
+
+  // Normalizes a variant row for JSON responses.
+  formatVariant(row) {
+    return {
+      ...row,
+      pack_size: Number(row.pack_size),
+      price_per_unit: normalizedUnitPrice(row.price, row.unit, row.pack_size),
+    };
+  }
+
+  // Serializes a validated field for MySQL (JSON columns need a string).
+  // Also used by the bulk import when it builds its upserts.
+  toColumnValue(column, value) {
+    if (column === "certifications" && value !== null) {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  // Normalizes a product row for JSON responses: booleans, plain dates,
+  // numeric pack sizes, and the price per normalized unit for comparison.
+  _formatProduct(row) {
+    const product = { ...row };
+
+    if ("organic" in row) {
+      product.organic = Boolean(row.organic);
+    }
+    if ("archived" in row) {
+      product.archived = Boolean(row.archived);
+    }
+    if ("pack_size" in row) {
+      product.pack_size = Number(row.pack_size);
+    }
+    if (row.harvested_at instanceof Date) {
+      // DATE columns come back as local midnight; keep the calendar date
+      const date = row.harvested_at;
+      product.harvested_at = [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0"),
+      ].join("-");
+    }
+    if ("unit" in row) {
+      product.price_per_unit = normalizedUnitPrice(row.price, row.unit, row.pack_size);
+    }
+
+    return product;
+  }
+
+  // Loads a single product row straight from the database.
+  async _findById(id) {
+    const [rows] = await pool.query(
+      `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = ?`,
+      [id],
+    );
+    if (!rows[0]) {
+      return null;
+    }
+
+    const [product] = await this._attachVariants([this._formatProduct(rows[0])]);
+    return product;
+  }
 }
 
+export { EXPORT_COLUMNS, VARIANT_COLUMNS };
 export default new ProductService();
@@ -0,0 +1,407 @@
+import { pool } from '../config/database.js';
+import productService from './product.service.js';
+import suggestionService from './suggestion.service.js';
+import categoryService from './category.service.js';
+import priceHistoryService from './priceHistory.service.js';
+import { validateProduct } from '../utils/productValidator.js';
+import { parseCsv } from '../utils/csv.js';
+
+const BATCH_SIZE = 1000;
+const IMPORT_FIELDS = [
+  'id',
+  'name',
+  'description',
+  'price',
+  'unit',
+  'pack_size',
+  'category',
+  'farm_id',
+  'stock',
+  'harvested_at',
+  'shelf_life_days',
+  'organic',
+  'certifications'
+];
+
+// Columns written on upsert (every import field except the key, plus the
+// category_id resolved from the category name or slug)
+const UPSERT_COLUMNS = [...IMPORT_FIELDS.filter((field) => field !== 'id'), 'category_id'];
+
+/**
+ * Bulk product import from CSV or NDJSON.
+ *
+ * Every row is validated with the same rules as the write API. Rows with
+ * the `id` of an existing product are partial updates (like PATCH): only
+ * the columns they carry are written. Other rows are full products,
+ * inserted in batches. Caches are invalidated once at the end.
+ */
+class ProductImportService {
+  /**
+   * Imports products from raw file contents.
+   *
+   * @param {string} content - File contents
+   * @param {Object} options
+   * @param {'csv'|'ndjson'} options.format
+   * @param {boolean} options.dryRun - Validate only, write nothing
+   * @param {string|null} options.changedBy - Recorded with price changes
+   * @returns {Promise<Object>} - Summary with a per-line error report
+   */
+  async importProducts(content, { format = 'csv', dryRun = false, changedBy = null } = {}) {
+    const startTime = Date.now();
+    const { records, errors } = this._parseRecords(content, format);
+    // Data lines that could not be parsed still count as rows (the header does not)
+    const totalRows = records.length + errors.filter((error) => error.parseError).length;
+
+    const existingIds = await this._findExistingIds(records);
+
+    const accepted = [];
+    for (const record of records) {
+      const rowErrors = [];
+
+      let id = null;
+      if (record.data.id !== undefined) {
+        id = Number(record.data.id);
+        if (!Number.isInteger(id) || id <= 0) {
+          rowErrors.push({ field: 'id', message: 'Id must be a positive integer' });
+        }
+      }
+
+      const partial = existingIds.has(id);
+      const { valid, errors: fieldErrors, value } = validateProduct(record.data, { partial });
+      rowErrors.push(...fieldErrors);
+
+      if (!valid || rowErrors.length > 0) {
+        errors.push({ line: record.line, errors: rowErrors });
+        continue;
+      }
+
+      accepted.push({ line: record.line, id, partial, ...value });
+    }
+
+    // Rows pointing at a farm that does not exist would fail the whole batch
+    const unknownFarmIds = await this._findUnknownFarmIds(accepted);
+    if (unknownFarmIds.size > 0) {
+      for (let i = accepted.length - 1; i >= 0; i--) {
+        if (unknownFarmIds.has(accepted[i].farm_id)) {
+          errors.push({
+            line: accepted[i].line,
+            errors: [{ field: 'farm_id', message: 'Farm does not exist' }]
+          });
+          accepted.splice(i, 1);
+        }
+      }
+    }
+
+    // Categories are given by name or slug and must exist
+    const categories = await categoryService.findCategories(
+      accepted.filter((row) => row.category !== undefined).map((row) => row.category)
+    );
+    for (let i = accepted.length - 1; i >= 0; i--) {
+      if (accepted[i].category === undefined) {
+        continue;
+      }
+
+      const category = categories.get(accepted[i].category);
+      if (!category) {
+        errors.push({
+          line: accepted[i].line,
+          errors: [{ field: 'category', message: 'Category does not exist' }]
+        });
+        accepted.splice(i, 1);
+      } else {
+        accepted[i].category = category.name;
+        accepted[i].category_id = category.id;
+      }
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+
+    const summary = {
+      success: true,
+      dryRun,
+      totalRows,
+      accepted: accepted.length,
+      rejected: errors.length,
+      upserted: 0,
+      errors: errors.map(({ line, errors: reasons }) => ({ line, errors: reasons }))
+    };
+
+    if (dryRun || accepted.length === 0) {
+      summary.durationMs = Date.now() - startTime;
+      return summary;
+    }
+
+    const [[{ maxId }]] = await pool.query('SELECT COALESCE(MAX(id), 0) AS maxId FROM products');
+    const updatedIds = accepted.filter((row) => row.id).map((row) => row.id);
+    const previousPrices = new Map();
+
+    for (const { columns, rows: batch } of this._batches(accepted)) {
+      const batchIds = batch.filter((row) => row.id).map((row) => row.id);
+      for (const [id, price] of await priceHistoryService.getPrices(batchIds)) {
+        previousPrices.set(id, price);
+      }
+
+      if (columns) {
+        await this._updateBatch(batch, columns);
+      } else {
+        await this._upsertBatch(batch);
+      }
+      summary.upserted += batch.length;
+    }
+
+    // Products with variants keep the price and stock derived from them
+    if (updatedIds.length > 0) {
+      await productService.syncVariantTotals(updatedIds, null);
+    }
+
+    await this._recordPriceChanges(updatedIds, previousPrices, maxId, changedBy);
+    await this._refreshCaches(updatedIds, maxId);
+
+    summary.durationMs = Date.now() - startTime;
+    return summary;
+  }
+
+  /**
+   * Splits file contents into records of { line, data }.
+   * Lines that cannot be parsed at all are reported as errors.
+   */
+  _parseRecords(content, format) {
+    const records = [];
+    const errors = [];
+
+    if (format === 'ndjson') {
+      content.split(/\r?\n/).forEach((text, index) => {
+        if (text.trim() === '') {
+          return;
+        }
+
+        try {
+          const data = JSON.parse(text);
+          if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Line must be a JSON object');
+          }
+          records.push({ line: index + 1, data: this._pickFields(data) });
+        } catch (error) {
+          errors.push({
+            line: index + 1,
+            parseError: true,
+            errors: [{
+              field: 'line',
+              message: error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message
+            }]
+          });
+        }
+      });
+
+      return { records, errors };
+    }
+
+    const rows = parseCsv(content);
+    if (rows.length === 0) {
+      return { records, errors };
+    }
+
+    // First record is the header row. With an id column, rows may update
+    // only some fields; rows without an id are still checked one by one
+    const header = rows[0].fields.map((name) => name.trim().toLowerCase());
+    const missing = header.includes('id')
+      ? []
+      : ['name', 'price', 'category'].filter((name) => !header.includes(name));
+    if (missing.length > 0) {
+      errors.push({
+        line: rows[0].line,
+        errors: [{ field: 'header', message: `Missing required columns: ${missing.join(', ')}` }]
+      });
+      return { records, errors };
+    }
+
+    for (const row of rows.slice(1)) {
+      if (row.fields.length !== header.length) {
+        errors.push({
+          line: row.line,
+          parseError: true,
+          errors: [{
+            field: 'line',
+            message: `Expected ${header.length} columns, got ${row.fields.length}`
+          }]
+        });
+        continue;
+      }
+
+      const data = {};
+      header.forEach((name, index) => {
+        // Empty CSV cells count as "not provided"
+        if (row.fields[index] !== '') {
+          data[name] = row.fields[index];
+        }
+      });
+
+      records.push({ line: row.line, data: this._pickFields(data) });
+    }
+
+    return { records, errors };
+  }
+
+  /**
+   * Keeps only the columns the import understands.
+   */
+  _pickFields(data) {
+    const picked = {};
+    for (const field of IMPORT_FIELDS) {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Splits accepted rows into write batches: full rows (columns null) are
+   * upserted, partial updates are grouped by the columns they carry.
+   */
+  _batches(rows) {
+    const groups = new Map([[null, []]]);
+    for (const row of rows) {
+      const columns = row.partial
+        ? UPSERT_COLUMNS.filter((column) => row[column] !== undefined)
+        : null;
+      const key = columns ? columns.join(',') : null;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    }
+
+    const batches = [];
+    for (const [key, groupRows] of groups) {
+      for (let i = 0; i < groupRows.length; i += BATCH_SIZE) {
+        batches.push({
+          columns: key === null ? null : key.split(','),
+          rows: groupRows.slice(i, i + BATCH_SIZE)
+        });
+      }
+    }
+    return batches;
+  }
+
+  /**
+   * Returns the ids given in the records that belong to existing products.
+   */
+  async _findExistingIds(records) {
+    const ids = [...new Set(
+      records
+        .map((record) => Number(record.data.id))
+        .filter((id) => Number.isInteger(id) && id > 0)
+    )];
+    const existing = new Set();
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const [rows] = await pool.query('SELECT id FROM products WHERE id IN (?)', [ids.slice(i, i + BATCH_SIZE)]);
+      rows.forEach((row) => existing.add(row.id));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Updates only `columns` of the products in one batch, in a single
+   * statement. Columns a row does not carry keep their stored values.
+   */
+  async _updateBatch(batch, columns) {
+    const cases = batch.map(() => 'WHEN ? THEN ?').join(' ');
+    const values = columns.flatMap((column) =>
+      batch.flatMap((row) => [row.id, productService.toColumnValue(column, row[column])])
+    );
+
+    await pool.query(
+      `UPDATE products SET
+         ${columns.map((column) => `${column} = CASE id ${cases} END`).join(',\n         ')}
+       WHERE id IN (?)`,
+      [...values, batch.map((row) => row.id)]
+    );
+  }
+
+  /**
+   * Inserts or updates one batch in a single statement.
+   * A NULL id makes MySQL assign a new AUTO_INCREMENT id.
+   */
+  async _upsertBatch(batch) {
+    const columns = ['id', ...UPSERT_COLUMNS];
+    const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+    const placeholders = batch.map(() => rowPlaceholder).join(',');
+    const values = batch.flatMap((row) =>
+      columns.map((column) => productService.toColumnValue(column, row[column]))
+    );
+
+    await pool.query(
+      `INSERT INTO products (${columns.join(', ')})
+       VALUES ${placeholders}
+       ON DUPLICATE KEY UPDATE
+         ${UPSERT_COLUMNS.map((column) => `${column} = VALUES(${column})`).join(',\n         ')}`,
+      values
+    );
+  }
+
+  /**
+   * Returns the referenced farm ids that do not exist.
+   */
+  async _findUnknownFarmIds(rows) {
+    const farmIds = [...new Set(rows.map((row) => row.farm_id).filter(Boolean))];
+    if (farmIds.length === 0) {
+      return new Set();
+    }
+
+    const [existing] = await pool.query('SELECT id FROM farms WHERE id IN (?)', [farmIds]);
+    const known = new Set(existing.map((row) => row.id));
+
+    return new Set(farmIds.filter((id) => !known.has(id)));
+  }
+
+  /**
+   * Records the initial price of new products and the price changes of
+   * updated ones in the price history (source "import").
+   */
+  async _recordPriceChanges(updatedIds, previousPrices, maxIdBefore, changedBy) {
+    const [rows] = await pool.query(
+      `SELECT id, price FROM products
+       WHERE id > ?${updatedIds.length > 0 ? ' OR id IN (?)' : ''}`,
+      updatedIds.length > 0 ? [maxIdBefore, updatedIds] : [maxIdBefore]
+    );
+
+    const changes = rows.map((row) => ({
+      productId: row.id,
+      oldPrice: previousPrices.get(row.id) ?? null,
+      newPrice: row.price
+    }));
+
+    for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+      await priceHistoryService.recordChanges(changes.slice(i, i + BATCH_SIZE), {
+        source: 'import',
+        changedBy
+      });
+    }
+  }
+
+  /**
+   * Invalidates listing caches once, evicts updated products from the item
+   * cache, and indexes imported products for typeahead.
+   */
+  async _refreshCaches(updatedIds, maxIdBefore) {
+    await productService.invalidateCache();
+    if (updatedIds.length > 0) {
+      await productService.invalidateProductCache(updatedIds);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT id, name, category FROM products
+       WHERE is_active = TRUE AND (id > ?${updatedIds.length > 0 ? ' OR id IN (?)' : ''})`,
+      updatedIds.length > 0 ? [maxIdBefore, updatedIds] : [maxIdBefore]
+    );
+
+    for (const row of rows) {
+      await suggestionService.indexProduct(row);
+    }
+  }
+}
+
+export default new ProductImportService();
@@ -0,0 +1,256 @@
+import { pool } from '../config/database.js';
+import { redisClient } from '../config/redis.js';
+
+const INDEX_KEY = 'products:suggest:index';
+const DATA_KEY = 'products:suggest:data';
+const REBUILD_BATCH_SIZE = 1000;
+// Set while a rebuild runs; writes meanwhile record their product id in
+// DIRTY_KEY so the rebuild can replay them after swapping the keys in.
+// The TTL frees the marker if a rebuild dies.
+const REBUILDING_KEY = 'products:suggest:rebuilding';
+const DIRTY_KEY = 'products:suggest:dirty';
+const REBUILDING_TTL_SECONDS = 3600;
+
+// Prefixes are stored as "<normalized text>\0<id>" so members sort by text
+// and stay unique per product.
+const SEPARATOR = '\u0000';
+
+/**
+ * Typeahead suggestions for product names.
+ *
+ * Uses a Redis sorted set where every member has score 0, so ZRANGEBYLEX
+ * answers "names starting with X" without touching MySQL. Each product is
+ * indexed once per word of its name, so "tom" matches "Cherry Tomatoes" too.
+ * A hash keeps the display name and category for each product id.
+ */
+class SuggestionService {
+  /**
+   * Returns up to `limit` products whose name has a word starting with `query`.
+   */
+  async suggest(query, limit = 8) {
+    const prefix = this._normalize(query);
+    if (!prefix) {
+      return [];
+    }
+
+    // Upper bound is the prefix followed by byte 0xFF (a Buffer, so it is not
+    // UTF-8 encoded). Several members can point at the same product, so
+    // over-fetch and dedupe.
+    const members = await redisClient.zRangeByLex(
+      INDEX_KEY,
+      `[${prefix}`,
+      Buffer.concat([Buffer.from(`[${prefix}`), Buffer.from([0xff])]),
+      { LIMIT: { offset: 0, count: limit * 4 } }
+    );
+
+    const ids = [];
+    for (const member of members) {
+      const id = member.slice(member.lastIndexOf(SEPARATOR) + 1);
+      if (!ids.includes(id)) {
+        ids.push(id);
+      }
+      if (ids.length === limit) {
+        break;
+      }
+    }
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const entries = await redisClient.hmGet(DATA_KEY, ids);
+
+    return entries
+      .filter(Boolean)
+      .map((entry) => JSON.parse(entry));
+  }
+
+  /**
+   * Adds or refreshes a product in the index.
+   * Call after a product is created or its name/category changes.
+   */
+  async indexProduct(product) {
+    try {
+      await this._markDirty(product.id);
+      const previous = await redisClient.hGet(DATA_KEY, String(product.id));
+      const multi = redisClient.multi();
+
+      if (previous) {
+        const stale = this._members(JSON.parse(previous));
+        if (stale.length > 0) {
+          multi.zRem(INDEX_KEY, stale);
+        }
+      }
+
+      this._queueAdd(multi, INDEX_KEY, DATA_KEY, product);
+      await multi.exec();
+    } catch (error) {
+      console.error('Suggestion indexing failed:', error);
+    }
+  }
+
+  /**
+   * Removes a product from the index.
+   */
+  async removeProduct(id) {
+    try {
+      await this._markDirty(id);
+      const previous = await redisClient.hGet(DATA_KEY, String(id));
+      if (!previous) {
+        return;
+      }
+
+      const multi = redisClient.multi();
+      const stale = this._members(JSON.parse(previous));
+      if (stale.length > 0) {
+        multi.zRem(INDEX_KEY, stale);
+      }
+      multi.hDel(DATA_KEY, String(id));
+      await multi.exec();
+    } catch (error) {
+      console.error('Suggestion removal failed:', error);
+    }
+  }
+
+  /**
+   * Rebuilds the whole index from the products table.
+   * Builds into temporary keys and swaps them in, so suggestions keep
+   * working while the rebuild runs. Products written during the rebuild
+   * are indexed again from the table after the swap, since their updates
+   * went to the keys being replaced.
+   */
+  async rebuildIndex() {
+    await redisClient.del(DIRTY_KEY);
+    await redisClient.set(REBUILDING_KEY, '1', { EX: REBUILDING_TTL_SECONDS });
+
+    try {
+      const total = await this._buildAndSwap();
+      await this._replayDirty();
+      return total;
+    } finally {
+      await redisClient.del([REBUILDING_KEY, DIRTY_KEY]);
+    }
+  }
+
+  /**
+   * Builds the index into temporary keys and swaps them in.
+   */
+  async _buildAndSwap() {
+    const tmpIndexKey = `${INDEX_KEY}:rebuild`;
+    const tmpDataKey = `${DATA_KEY}:rebuild`;
+    await redisClient.del([tmpIndexKey, tmpDataKey]);
+
+    let lastId = 0;
+    let total = 0;
+
+    while (true) {
+      const [rows] = await pool.query(
+        'SELECT id, name, category, is_active FROM products WHERE id > ? ORDER BY id LIMIT ?',
+        [lastId, REBUILD_BATCH_SIZE]
+      );
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      // Archived and deleted products are not suggested
+      const activeRows = rows.filter((row) => row.is_active);
+      const multi = redisClient.multi();
+      for (const row of activeRows) {
+        this._queueAdd(multi, tmpIndexKey, tmpDataKey, row);
+      }
+      await multi.exec();
+
+      total += activeRows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+
+    if (total === 0) {
+      await redisClient.del([INDEX_KEY, DATA_KEY]);
+      return 0;
+    }
+
+    const swap = redisClient.multi();
+    swap.rename(tmpIndexKey, INDEX_KEY);
+    swap.rename(tmpDataKey, DATA_KEY);
+    await swap.exec();
+
+    return total;
+  }
+
+  /**
+   * Re-indexes the products written while a rebuild ran, from their
+   * current rows.
+   */
+  async _replayDirty() {
+    const ids = (await redisClient.sMembers(DIRTY_KEY)).map(Number);
+
+    for (let i = 0; i < ids.length; i += REBUILD_BATCH_SIZE) {
+      const batchIds = ids.slice(i, i + REBUILD_BATCH_SIZE);
+      const [rows] = await pool.query(
+        'SELECT id, name, category, is_active FROM products WHERE id IN (?)',
+        [batchIds]
+      );
+      const active = new Map(rows.filter((row) => row.is_active).map((row) => [row.id, row]));
+
+      for (const id of batchIds) {
+        if (active.has(id)) {
+          await this.indexProduct(active.get(id));
+        } else {
+          await this.removeProduct(id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Records a product written during a rebuild (see rebuildIndex).
+   */
+  async _markDirty(id) {
+    if (await redisClient.exists(REBUILDING_KEY)) {
+      await redisClient.sAdd(DIRTY_KEY, String(id));
+    }
+  }
+
+  /**
+   * Queues the index entries for one product on a MULTI.
+   */
+  _queueAdd(multi, indexKey, dataKey, product) {
+    const members = this._members(product);
+    if (members.length > 0) {
+      multi.zAdd(indexKey, members.map((value) => ({ score: 0, value })));
+    }
+    multi.hSet(dataKey, String(product.id), JSON.stringify({
+      id: product.id,
+      name: product.name,
+      category: product.category
+    }));
+  }
+
+  /**
+   * One member per word start: "cherry tomatoes", "tomatoes".
+   */
+  _members(product) {
+    const words = this._normalize(product.name).split(' ').filter(Boolean);
+    const members = [];
+
+    for (let i = 0; i < words.length; i++) {
+      members.push(`${words.slice(i).join(' ')}${SEPARATOR}${product.id}`);
+    }
+
+    return members;
+  }
+
+  /**
+   * Lowercases and collapses whitespace so lookups are case-insensitive.
+   */
+  _normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/\u0000/g, '')
+      .trim();
+  }
+}
+
+export default new SuggestionService();
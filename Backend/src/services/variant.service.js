@@ -0,0 +1,105 @@
+import { pool } from '../config/database.js';
+import productService, { VARIANT_COLUMNS } from './product.service.js';
+
+// Columns that may be written through the variant API.
+const WRITABLE_FIELDS = ['sku', 'label', 'unit', 'pack_size', 'price', 'stock'];
+
+/**
+ * Service for product variants (pack sizes / SKUs of one product).
+ *
+ * Every write recomputes the parent product's price (cheapest variant) and
+ * stock (sum of variant stock), then evicts the product and listing caches.
+ * `audit` ({ source, changedBy }) is recorded if the product price changes.
+ */
+class VariantService {
+  /**
+   * Lists a product's variants, cheapest first.
+   */
+  async getVariants(productId) {
+    const [rows] = await pool.query(
+      `SELECT ${VARIANT_COLUMNS.join(', ')} FROM product_variants
+       WHERE product_id = ?
+       ORDER BY price, id`,
+      [productId]
+    );
+    return rows.map((row) => productService.formatVariant(row));
+  }
+
+  /**
+   * Gets one variant of a product. Returns null if not found.
+   */
+  async getVariant(productId, variantId) {
+    const [rows] = await pool.query(
+      `SELECT ${VARIANT_COLUMNS.join(', ')} FROM product_variants
+       WHERE id = ? AND product_id = ?`,
+      [variantId, productId]
+    );
+    return rows[0] ? productService.formatVariant(rows[0]) : null;
+  }
+
+  /**
+   * Creates a variant from validated fields.
+   */
+  async createVariant(productId, fields, audit = {}) {
+    const columns = WRITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+
+    const [result] = await pool.query(
+      `INSERT INTO product_variants (product_id, ${columns.join(', ')})
+       VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [productId, ...columns.map((column) => fields[column])]
+    );
+
+    await this._refreshProduct(productId, audit);
+    return this.getVariant(productId, result.insertId);
+  }
+
+  /**
+   * Updates the given fields of a variant. Returns null if it does not exist.
+   */
+  async updateVariant(productId, variantId, fields, audit = {}) {
+    const columns = WRITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+
+    const [result] = await pool.query(
+      `UPDATE product_variants SET ${columns.map((column) => `${column} = ?`).join(', ')}
+       WHERE id = ? AND product_id = ?`,
+      [...columns.map((column) => fields[column]), variantId, productId]
+    );
+
+    if (result.affectedRows === 0) {
+      return null;
+    }
+
+    await this._refreshProduct(productId, audit);
+    return this.getVariant(productId, variantId);
+  }
+
+  /**
+   * Deletes a variant. Returns false if it did not exist. When the last
+   * variant is removed the product keeps the last derived price and stock.
+   */
+  async deleteVariant(productId, variantId, audit = {}) {
+    const [result] = await pool.query(
+      'DELETE FROM product_variants WHERE id = ? AND product_id = ?',
+      [variantId, productId]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await this._refreshProduct(productId, audit);
+    return true;
+  }
+
+  /**
+   * Re-derives the product's price and stock (recording a price change
+   * with `audit`) and evicts its caches.
+   */
+  async _refreshProduct(productId, audit) {
+    await productService.syncVariantTotals(productId, audit);
+    await productService.invalidateProductCache(productId);
+    await productService.invalidateCache();
+  }
+}
+
+export default new VariantService();
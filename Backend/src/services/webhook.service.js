@@ -1,12 +1,52 @@
 import axios from 'axios';
 import { pool } from '../config/database.js';
+import webhookQueue from './webhookQueue.service.js';
+import webhookHandlers from './webhookHandlers.service.js';
+import '../webhooks/index.js';
+import { validateWebhookPayload } from '../utils/webhookSchemas.js';
 
 const WEBHOOK_REGISTER_URL = 'https://mock-external-service.com/register-webhook';
 const CALLBACK_BASE_URL = process.env.CALLBACK_BASE_URL || 'http://localhost:3000';
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+const DEFAULT_LEASE_SECONDS = 60;
+// Expired leases reaped per sweep.
+const REAP_BATCH_SIZE = 100;
+// Lease owner while the callback stores and queues an event.
+const CALLBACK_LEASE_OWNER = 'callback';
+
+const WEBHOOK_EVENT_STATUSES = ['pending', 'processed', 'failed', 'dead_letter', 'rejected', 'parked', 'discarded'];
+const DEFAULT_PARK_TIMEOUT_SECONDS = 300;
+// Parked events released per sweep.
+const PARK_BATCH_SIZE = 100;
+
+// Aggregate an event belongs to, by event type prefix, and the data field
+// identifying it. Events with a `sequence` are applied in order per aggregate.
+const AGGREGATE_KEYS = {
+  order: 'order_id',
+  payment: 'payment_id'
+};
+
+/**
+ * Processing lease length in seconds (WEBHOOK_LEASE_SECONDS).
+ */
+function getLeaseSeconds() {
+  return parseInt(process.env.WEBHOOK_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS;
+}
+
+// A pending event nobody holds that has been due for a lease length: its
+// queue message (or scheduled retry) was lost. Takes the grace in seconds.
+const STALLED_CONDITION = `status = 'pending' AND locked_until IS NULL
+  AND COALESCE(next_attempt_at, updated_at) <= NOW() - INTERVAL ? SECOND`;
 
 /**
  * Webhook service for handling async event processing.
  * Implements idempotency, retry logic, and callback registration.
+ * Callbacks only store and queue events; the worker (npm run worker)
+ * processes them. A pending event being handled is leased (locked_until,
+ * locked_by) so a crashed handler's event can be taken over once the
+ * lease expires instead of staying pending forever.
  */
 class WebhookService {
   /**
@@ -40,119 +80,780 @@ class WebhookService {
   }
 
   /**
-   * Processes incoming webhook event.
-   * Business logic for handling different event types.
+   * Hands a stored event to the worker queue. A failed event sent again by
+   * the provider goes back to 'pending'. If the queue is unreachable the
+   * event is marked failed, so the provider's next delivery retries it.
+   * Releases the callback's lease once the event is queued.
    */
-  async processEvent(eventData, eventDbId, isRetry = false) {
+  async acceptEvent(eventDbId, { isRetry = false } = {}) {
+    if (isRetry) {
+      await pool.query(
+        `UPDATE webhook_events SET status = 'pending', next_attempt_at = NULL
+         WHERE id = ? AND status = 'failed'`,
+        [eventDbId]
+      );
+    }
+
+    try {
+      await webhookQueue.enqueue(eventDbId);
+    } catch (error) {
+      await pool.query(
+        `UPDATE webhook_events SET status = 'failed', last_error = ?, locked_until = NULL, locked_by = NULL
+         WHERE id = ?`,
+        [`Queueing failed: ${error.message}`, eventDbId]
+      );
+      throw error;
+    }
+
+    // A worker may already have claimed it
+    await pool.query(
+      `UPDATE webhook_events SET locked_until = NULL, locked_by = NULL
+       WHERE id = ? AND locked_by = ?`,
+      [eventDbId, CALLBACK_LEASE_OWNER]
+    );
+  }
+
+  /**
+   * Takes over a pending event for a new delivery when its lease has
+   * expired (its handler died) or it has stalled (no lease, overdue, so its
+   * queue message was lost). Returns false if it is still leased, queued
+   * or waiting for a retry.
+   */
+  async takeOverStalledEvent(eventDbId) {
+    const leaseSeconds = getLeaseSeconds();
+    const [result] = await pool.query(
+      `UPDATE webhook_events SET locked_until = NOW() + INTERVAL ? SECOND, locked_by = ?
+       WHERE id = ? AND (
+         (status = 'pending' AND locked_until < NOW()) OR (${STALLED_CONDITION})
+       )`,
+      [leaseSeconds, CALLBACK_LEASE_OWNER, eventDbId, leaseSeconds]
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Processes a queued webhook event (called by the worker).
+   * Runs every handler registered for the event type (see
+   * webhookHandlers.service.js). Results are kept per handler, so a retry
+   * only re-runs the handlers that failed; a replay re-runs all of them.
+   * The worker leases the event for the duration of the handlers and
+   * renews the lease with a heartbeat. Events that are no longer pending (e.g. a duplicate queue
+   * message) or leased by another worker are skipped. With `replay`, events
+   * in any status are re-run from their stored payload. Payloads that fail
+   * schema validation are marked 'rejected' without running a handler.
+   *
+   * Events with a `sequence` are applied in order per aggregate (see
+   * _checkSequence): stale ones are discarded and early ones parked.
+   * Replays skip the ordering checks.
+   *
+   * @returns {Promise<Object|null>} - { event_id, processed_data } where
+   *   processed_data maps handler names to results, or
+   *   { event_id, rejected: true, errors }, or { event_id, discarded: true },
+   *   or { event_id, parked: true }, or null if skipped
+   */
+  async processEvent(eventDbId, owner, { replay = false, requestedBy = null } = {}) {
+    if (!await this._claimLease(eventDbId, owner, { anyStatus: replay })) {
+      return null;
+    }
+
+    const [rows] = await pool.query(
+      `SELECT id, event_id, event_type, payload, retry_count, handler_results
+       FROM webhook_events WHERE id = ?`,
+      [eventDbId]
+    );
+    const { event_id, event_type, payload, retry_count, handler_results } = rows[0];
+    const body = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const { data } = body;
+
+    let trigger = 'delivery';
+    if (replay) {
+      trigger = 'replay';
+    } else if (retry_count > 0) {
+      trigger = 'retry';
+    }
+    const attemptId = await this._startAttempt(eventDbId, { trigger, requestedBy });
+
+    const { valid, errors } = validateWebhookPayload(body);
+    if (!valid) {
+      await this._finishAttempt(attemptId, { outcome: 'rejected', result: { errors } });
+      await this.rejectEvent(eventDbId, errors);
+      return { event_id, rejected: true, errors };
+    }
+
+    const aggregate = this._aggregateOf(event_type, data);
+    const sequence = aggregate ? body.sequence ?? null : null;
+    if (sequence !== null) {
+      await pool.query(
+        'UPDATE webhook_events SET aggregate_type = ?, aggregate_id = ?, aggregate_sequence = ? WHERE id = ?',
+        [aggregate.type, aggregate.id, sequence, eventDbId]
+      );
+
+      if (!replay) {
+        const outcome = await this._checkSequence(eventDbId, aggregate, sequence);
+        if (outcome) {
+          await this._finishAttempt(attemptId, { outcome: outcome.status, result: outcome });
+          return { event_id, [outcome.status]: true, ...outcome };
+        }
+      }
+    }
+
+    const previousResults = replay ? {} : (handler_results ?? {});
+    const heartbeat = this._startHeartbeat(eventDbId, owner);
+    let run;
     try {
-      const { event_id, event_type, data } = eventData;
+      run = await webhookHandlers.run({ event_id, event_type }, data, {
+        skip: Object.keys(previousResults)
+      });
+    } catch (error) {
+      await this._finishAttempt(attemptId, { outcome: 'failed', error });
+      throw error;
+    } finally {
+      clearInterval(heartbeat);
+    }
 
-      // Increment retry count if this is a retry
-      if (isRetry) {
+    const handlerResults = { ...previousResults, ...run.results };
+
+    if (run.failures.length > 0) {
+      const error = new Error(
+        run.failures.map(({ handler, error: cause }) => `${handler}: ${cause.message}`).join('; ')
+      );
+      error.stack = run.failures.map(({ handler, error: cause }) => `[${handler}] ${cause.stack}`).join('\n');
+
+      // Keep what succeeded so the retry skips those handlers
+      await pool.query(
+        'UPDATE webhook_events SET handler_results = ? WHERE id = ?',
+        [JSON.stringify(handlerResults), eventDbId]
+      );
+      await this._finishAttempt(attemptId, { outcome: 'failed', error, result: handlerResults });
+      throw error;
+    }
+
+    // Unknown event types are only accepted under the 'ignore' policy
+    const processedData = run.matched.length > 0
+      ? handlerResults
+      : { ignored: true, message: 'No handler for event type' };
+
+    await this._finishAttempt(attemptId, { outcome: 'succeeded', result: processedData });
+
+    // Mark event as processed, keeping the result for duplicate deliveries
+    await pool.query(
+      `UPDATE webhook_events 
+       SET status = 'processed', processed_at = NOW(), processed_data = ?, handler_results = NULL,
+           last_error = NULL, next_attempt_at = NULL, locked_until = NULL, locked_by = NULL
+       WHERE id = ?`,
+      [JSON.stringify(processedData ?? null), eventDbId]
+    );
+
+    if (sequence !== null) {
+      await this._advanceSequence(aggregate, sequence);
+    }
+
+    return {
+      event_id,
+      processed_data: processedData
+    };
+  }
+
+  /**
+   * Queues parked events whose predecessor never arrived within
+   * WEBHOOK_PARK_TIMEOUT_SECONDS. They are processed despite the gap.
+   * Returns the number of events released.
+   */
+  async releaseExpiredParked() {
+    const [rows] = await pool.query(
+      `SELECT id FROM webhook_events
+       WHERE status = 'parked' AND parked_until <= NOW()
+       ORDER BY parked_until
+       LIMIT ?`,
+      [PARK_BATCH_SIZE]
+    );
+
+    const released = await this._unpark(rows.map((row) => row.id));
+    if (released > 0) {
+      console.log(`⌛ Released ${released} parked webhook events after timeout`);
+    }
+    return released;
+  }
+
+  /**
+   * Releases timed-out parked events every `intervalMs` in the background.
+   */
+  startParkedEventSweeper(intervalMs = 30000) {
+    const timer = setInterval(() => {
+      this.releaseExpiredParked().catch((error) => {
+        console.error('Parked webhook release failed:', error);
+      });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Marks an event 'rejected' because its payload failed schema validation.
+   */
+  async rejectEvent(eventDbId, errors) {
+    await pool.query(
+      `UPDATE webhook_events
+       SET status = 'rejected', validation_errors = ?, last_error = 'Invalid payload',
+           next_attempt_at = NULL, locked_until = NULL, locked_by = NULL
+       WHERE id = ?`,
+      [JSON.stringify(errors), eventDbId]
+    );
+  }
+
+  /**
+   * Re-runs stored events through processEvent (admin replay). Replays are
+   * recorded as attempts (trigger 'replay'); the events themselves are not
+   * duplicated. A failed replay keeps the event's status and stores the
+   * error in last_error. With `dryRun`, reports what would be replayed
+   * without running or recording anything.
+   *
+   * @param {Array<Object>} events - Rows from findEventsForReplay
+   * @returns {Promise<Array<Object>>} - One summary per event, in order
+   */
+  async replayEvents(events, { dryRun = false, requestedBy = null } = {}) {
+    const owner = `replay:${requestedBy ?? 'admin'}`.slice(0, 100);
+    const summaries = [];
+
+    for (const event of events) {
+      const summary = {
+        id: event.id,
+        event_id: event.event_id,
+        event_type: event.event_type,
+        previous_status: event.status
+      };
+
+      if (event.leased) {
+        summaries.push({ ...summary, outcome: 'skipped', reason: 'Event is being processed' });
+        continue;
+      }
+
+      if (dryRun) {
+        summaries.push({
+          ...summary,
+          outcome: 'would_replay',
+          handlers: webhookHandlers.resolve(event.event_type).map((entry) => entry.name)
+        });
+        continue;
+      }
+
+      let outcome;
+      let result = null;
+      let error = null;
+      try {
+        result = await this.processEvent(event.id, owner, { replay: true, requestedBy });
+        outcome = result ? 'succeeded' : 'skipped';
+      } catch (replayError) {
+        error = replayError;
+        outcome = 'failed';
         await pool.query(
-          'UPDATE webhook_events SET retry_count = retry_count + 1 WHERE id = ?',
-          [eventDbId]
+          `UPDATE webhook_events SET last_error = ?, locked_until = NULL, locked_by = NULL
+           WHERE id = ? AND locked_by = ?`,
+          [String(replayError.message).slice(0, 65535), event.id, owner]
         );
       }
 
-      // Process based on event type
-      let processedData;
-      switch (event_type) {
-        case 'order.created':
-          processedData = await this._handleOrderCreated(data);
-          break;
-        case 'order.updated':
-          processedData = await this._handleOrderUpdated(data);
-          break;
-        case 'payment.completed':
-          processedData = await this._handlePaymentCompleted(data);
-          break;
-        default:
-          processedData = { message: 'Event type not handled', data };
+      if (outcome === 'skipped') {
+        summaries.push({ ...summary, outcome, reason: 'Event is being processed' });
+        continue;
       }
 
-      // Mark event as processed
+      if (result?.rejected) {
+        summaries.push({ ...summary, outcome: 'rejected', errors: result.errors });
+        continue;
+      }
+
+      summaries.push({
+        ...summary,
+        outcome,
+        ...(error ? { error: error.message } : { processed_data: result.processed_data })
+      });
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Records a failed processing attempt. The event is retried after an
+   * exponential backoff (WEBHOOK_RETRY_BASE_MS * 2^(attempt - 1)) until it
+   * has failed more than WEBHOOK_MAX_RETRIES times, then moves to
+   * 'dead_letter'.
+   *
+   * @returns {Promise<Object>} - { deadLetter, retryCount, delayMs }
+   */
+  async recordFailure(eventDbId, error) {
+    const maxRetries = parseInt(process.env.WEBHOOK_MAX_RETRIES) || DEFAULT_MAX_RETRIES;
+    const baseDelayMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+
+    await pool.query(
+      `UPDATE webhook_events
+       SET retry_count = retry_count + 1, last_error = ?, locked_until = NULL, locked_by = NULL
+       WHERE id = ?`,
+      [String(error?.message ?? error).slice(0, 65535), eventDbId]
+    );
+    const [[{ retry_count: retryCount }]] = await pool.query(
+      'SELECT retry_count FROM webhook_events WHERE id = ?',
+      [eventDbId]
+    );
+
+    if (retryCount > maxRetries) {
       await pool.query(
-        `UPDATE webhook_events 
-         SET status = 'processed', processed_at = NOW() 
-         WHERE id = ?`,
+        `UPDATE webhook_events SET status = 'dead_letter', next_attempt_at = NULL WHERE id = ?`,
         [eventDbId]
       );
+      return { deadLetter: true, retryCount, delayMs: null };
+    }
 
-      return {
-        success: true,
-        event_id,
-        processed_data: processedData
-      };
-    } catch (error) {
-      // Mark event as failed
+    const delayMs = Math.min(baseDelayMs * 2 ** (retryCount - 1), MAX_RETRY_DELAY_MS);
+    await pool.query(
+      `UPDATE webhook_events SET status = 'pending', next_attempt_at = NOW() + INTERVAL ? SECOND
+       WHERE id = ?`,
+      [Math.ceil(delayMs / 1000), eventDbId]
+    );
+
+    return { deadLetter: false, retryCount, delayMs };
+  }
+
+  /**
+   * Counts pending events whose lease expired (the handler died) as failed
+   * attempts: they are scheduled for a retry, or dead-lettered.
+   * Returns the number of leases reaped.
+   */
+  async reapExpiredLeases() {
+    const [rows] = await pool.query(
+      `SELECT id FROM webhook_events
+       WHERE status = 'pending' AND locked_until < NOW()
+       ORDER BY locked_until
+       LIMIT ?`,
+      [REAP_BATCH_SIZE]
+    );
+
+    let reaped = 0;
+    for (const { id } of rows) {
+      // Skip events taken over since the SELECT
+      const [result] = await pool.query(
+        `UPDATE webhook_events SET locked_until = NULL, locked_by = NULL
+         WHERE id = ? AND status = 'pending' AND locked_until < NOW()`,
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        continue;
+      }
+
+      // The attempt that held the lease never finished
       await pool.query(
-        `UPDATE webhook_events 
-         SET status = 'failed' 
+        `UPDATE webhook_event_attempts
+         SET outcome = 'abandoned', finished_at = NOW(3), error_message = 'Processing lease expired',
+             duration_ms = TIMESTAMPDIFF(MICROSECOND, started_at, NOW(3)) DIV 1000
+         WHERE webhook_event_id = ? AND outcome = 'running'`,
+        [id]
+      );
+
+      const { deadLetter, delayMs } = await this.recordFailure(id, new Error('Processing lease expired'));
+      if (!deadLetter) {
+        // If this fails, requeueStalledEvents picks the event up once due
+        await webhookQueue.scheduleRetry(id, delayMs).catch((error) => {
+          console.error(`Failed to schedule retry of webhook ${id}:`, error.message);
+        });
+      }
+      reaped++;
+    }
+
+    if (reaped > 0) {
+      console.log(`⌛ Reaped ${reaped} expired webhook leases`);
+    }
+    return reaped;
+  }
+
+  /**
+   * Queues pending events again whose queue message or scheduled retry was
+   * lost (worker died before scheduling it, Redis lost the stream or retry
+   * set). Works from the database alone: each requeued event is given a new
+   * due time, so a failed enqueue is picked up by the next sweep and a
+   * requeued event is not queued again while it waits for a worker.
+   * Returns the number of events requeued.
+   */
+  async requeueStalledEvents() {
+    const leaseSeconds = getLeaseSeconds();
+    const [rows] = await pool.query(
+      `SELECT id FROM webhook_events
+       WHERE ${STALLED_CONDITION}
+       ORDER BY id
+       LIMIT ?`,
+      [leaseSeconds, REAP_BATCH_SIZE]
+    );
+
+    let requeued = 0;
+    for (const { id } of rows) {
+      const [result] = await pool.query(
+        `UPDATE webhook_events SET next_attempt_at = NOW() + INTERVAL ? SECOND
+         WHERE id = ? AND ${STALLED_CONDITION}`,
+        [leaseSeconds, id, leaseSeconds]
+      );
+      if (result.affectedRows === 0) {
+        continue;
+      }
+
+      try {
+        await webhookQueue.enqueue(id);
+        requeued++;
+      } catch (error) {
+        console.error(`Failed to requeue webhook ${id}:`, error.message);
+      }
+    }
+
+    if (requeued > 0) {
+      console.log(`🔁 Requeued ${requeued} stalled webhook events`);
+    }
+    return requeued;
+  }
+
+  /**
+   * Reaps expired leases and requeues stalled events every `intervalMs`
+   * in the background.
+   */
+  startRecoverySweeper(intervalMs = 30000) {
+    const timer = setInterval(() => {
+      this.reapExpiredLeases()
+        .then(() => this.requeueStalledEvents())
+        .catch((error) => {
+          console.error('Webhook recovery sweep failed:', error);
+        });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Leases a pending event (any event with `anyStatus`) to `owner` unless
+   * another handler holds an unexpired lease. The callback's lease only
+   * covers queueing, so a worker may take it over.
+   */
+  async _claimLease(eventDbId, owner, { anyStatus = false } = {}) {
+    const [result] = await pool.query(
+      `UPDATE webhook_events SET locked_until = NOW() + INTERVAL ? SECOND, locked_by = ?
+       WHERE id = ?${anyStatus ? '' : " AND status = 'pending'"}
+         AND (locked_until IS NULL OR locked_until < NOW() OR locked_by = ?)`,
+      [getLeaseSeconds(), owner, eventDbId, CALLBACK_LEASE_OWNER]
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * The aggregate (e.g. { type: 'order', id: 'ORD-1' }) an event applies
+   * to, or null if its type has none or the id is missing.
+   */
+  _aggregateOf(eventType, data) {
+    const type = eventType.split('.')[0];
+    const key = AGGREGATE_KEYS[type];
+    const id = key ? data?.[key] : undefined;
+    return id === undefined || id === null ? null : { type, id: String(id) };
+  }
+
+  /**
+   * Compares an event's sequence with the last one applied to its aggregate.
+   * Stale events (sequence already applied) are discarded. Events ahead of
+   * the next expected sequence are parked until their predecessor is
+   * processed, or until the park timeout passes; after that they run
+   * despite the gap.
+   *
+   * @returns {Promise<Object|null>} - { status: 'discarded'|'parked', ... },
+   *   or null when the event should be processed now
+   */
+  async _checkSequence(eventDbId, aggregate, sequence) {
+    const lastSequence = await this._lastSequence(aggregate);
+
+    if (sequence <= lastSequence) {
+      const outcome = { status: 'discarded', reason: 'stale', sequence, last_sequence: lastSequence };
+      await pool.query(
+        `UPDATE webhook_events
+         SET status = 'discarded', processed_at = NOW(), processed_data = ?, parked_until = NULL,
+             next_attempt_at = NULL, locked_until = NULL, locked_by = NULL
          WHERE id = ?`,
-        [eventDbId]
+        [JSON.stringify(outcome), eventDbId]
       );
+      return outcome;
+    }
 
-      throw error;
+    if (sequence === lastSequence + 1) {
+      return null;
+    }
+
+    const [[{ parkExpired }]] = await pool.query(
+      'SELECT COALESCE(parked_until <= NOW(), FALSE) AS parkExpired FROM webhook_events WHERE id = ?',
+      [eventDbId]
+    );
+    if (parkExpired) {
+      console.warn(`⚠️  Processing ${aggregate.type} ${aggregate.id} #${sequence} without #${lastSequence + 1}`);
+      return null;
+    }
+
+    const parkSeconds = parseInt(process.env.WEBHOOK_PARK_TIMEOUT_SECONDS) || DEFAULT_PARK_TIMEOUT_SECONDS;
+    await pool.query(
+      `UPDATE webhook_events
+       SET status = 'parked', parked_until = COALESCE(parked_until, NOW() + INTERVAL ? SECOND),
+           locked_until = NULL, locked_by = NULL
+       WHERE id = ?`,
+      [parkSeconds, eventDbId]
+    );
+
+    // The predecessor may have finished while this event was being parked
+    if (await this._lastSequence(aggregate) >= sequence - 1) {
+      await this._unpark([eventDbId]);
     }
+
+    return { status: 'parked', reason: 'waiting_for_predecessor', sequence, last_sequence: lastSequence };
+  }
+
+  async _lastSequence({ type, id }) {
+    const [rows] = await pool.query(
+      'SELECT last_sequence FROM webhook_aggregate_sequences WHERE aggregate_type = ? AND aggregate_id = ?',
+      [type, id]
+    );
+    return rows.length > 0 ? rows[0].last_sequence : 0;
   }
 
   /**
-   * Business logic for order.created event.
+   * Records `sequence` as applied to the aggregate and queues parked
+   * events that can now run (the successor, and stale ones to discard).
    */
-  async _handleOrderCreated(data) {
-    // Example: Create order in database, send confirmation email, etc.
-    console.log('📦 Processing order.created:', data.order_id);
-    
-    // Simulate processing
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    return {
-      order_id: data.order_id,
-      status: 'confirmed',
-      processed: true
-    };
+  async _advanceSequence(aggregate, sequence) {
+    await pool.query(
+      `INSERT INTO webhook_aggregate_sequences (aggregate_type, aggregate_id, last_sequence)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE last_sequence = GREATEST(last_sequence, VALUES(last_sequence))`,
+      [aggregate.type, aggregate.id, sequence]
+    );
+
+    const [rows] = await pool.query(
+      `SELECT id FROM webhook_events
+       WHERE aggregate_type = ? AND aggregate_id = ? AND status = 'parked' AND aggregate_sequence <= ?`,
+      [aggregate.type, aggregate.id, sequence + 1]
+    );
+    await this._unpark(rows.map((row) => row.id));
   }
 
   /**
-   * Business logic for order.updated event.
+   * Moves parked events back to 'pending' (due now) and queues them. The
+   * status check keeps concurrent releases from queueing an event twice;
+   * if queueing fails, the recovery sweep requeues the event.
    */
-  async _handleOrderUpdated(data) {
-    console.log('🔄 Processing order.updated:', data.order_id);
-    
-    return {
-      order_id: data.order_id,
-      status: 'updated',
-      processed: true
-    };
+  async _unpark(eventDbIds) {
+    let released = 0;
+    for (const id of eventDbIds) {
+      const [result] = await pool.query(
+        `UPDATE webhook_events SET status = 'pending', next_attempt_at = NOW()
+         WHERE id = ? AND status = 'parked'`,
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        continue;
+      }
+
+      try {
+        await webhookQueue.enqueue(id);
+      } catch (error) {
+        console.error(`Failed to queue unparked webhook ${id}:`, error.message);
+      }
+      released++;
+    }
+    return released;
   }
 
   /**
-   * Business logic for payment.completed event.
+   * Opens an attempt record ('running') for an event about to be handled.
+   * trigger is 'delivery', 'retry' or 'replay'. Returns the attempt id.
    */
-  async _handlePaymentCompleted(data) {
-    console.log('💳 Processing payment.completed:', data.payment_id);
-    
-    return {
-      payment_id: data.payment_id,
-      status: 'captured',
-      processed: true
-    };
+  async _startAttempt(eventDbId, { trigger, requestedBy = null }) {
+    const [result] = await pool.query(
+      `INSERT INTO webhook_event_attempts
+         (webhook_event_id, trigger_type, outcome, requested_by, started_at)
+       VALUES (?, ?, 'running', ?, NOW(3))`,
+      [eventDbId, trigger, requestedBy]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Closes an attempt record with its outcome, duration and either the
+   * handler's result or the error.
+   */
+  async _finishAttempt(attemptId, { outcome, error = null, result = null }) {
+    await pool.query(
+      `UPDATE webhook_event_attempts
+       SET outcome = ?, finished_at = NOW(3),
+           duration_ms = TIMESTAMPDIFF(MICROSECOND, started_at, NOW(3)) DIV 1000,
+           error_message = ?, error_stack = ?, result = ?
+       WHERE id = ?`,
+      [
+        outcome,
+        error ? String(error.message).slice(0, 65535) : null,
+        error?.stack ? String(error.stack).slice(0, 65535) : null,
+        result === null ? null : JSON.stringify(result),
+        attemptId
+      ]
+    );
+  }
+
+  /**
+   * Renews `owner`'s lease every third of its length while a handler runs.
+   */
+  _startHeartbeat(eventDbId, owner) {
+    const leaseSeconds = getLeaseSeconds();
+    const timer = setInterval(() => {
+      pool.query(
+        `UPDATE webhook_events SET locked_until = NOW() + INTERVAL ? SECOND
+         WHERE id = ? AND locked_by = ?`,
+        [leaseSeconds, eventDbId, owner]
+      ).catch((error) => {
+        console.error(`Webhook ${eventDbId} heartbeat failed:`, error);
+      });
+    }, (leaseSeconds * 1000) / 3);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Registered webhook handlers and their timeout/retry policies.
+   */
+  getHandlers() {
+    return webhookHandlers.list();
+  }
+
+  /**
+   * Records a webhook request refused before processing. Never throws, so
+   * a failing audit write cannot turn a rejection into a 500.
+   */
+  async recordRejection({ reason, eventId = null, eventType = null, sourceIp = null, signature = null, signedAt = null }) {
+    console.warn(`🚫 Rejected webhook (${reason}) from ${sourceIp}`);
+
+    try {
+      await pool.query(
+        `INSERT INTO webhook_rejections
+           (reason, event_id, event_type, source_ip, signature, signed_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          reason,
+          eventId === null ? null : String(eventId).slice(0, 255),
+          eventType === null ? null : String(eventType).slice(0, 100),
+          sourceIp,
+          signature === null ? null : String(signature).slice(0, 512),
+          signedAt === null ? null : String(signedAt).slice(0, 32)
+        ]
+      );
+    } catch (error) {
+      console.error('Failed to record webhook rejection:', error);
+    }
+  }
+
+  /**
+   * Lists rejected webhook requests, newest first.
+   */
+  async getRejections({ reason = null, limit = 50, offset = 0 } = {}) {
+    let query = 'SELECT * FROM webhook_rejections';
+    const params = [];
+
+    if (reason) {
+      query += ' WHERE reason = ?';
+      params.push(reason);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [rows] = await pool.query(query, params);
+    return rows;
+  }
+
+  /**
+   * Finds events to replay: by event_id, or by status, event_type and a
+   * created_at range. Oldest first, so replays run in arrival order.
+   */
+  async findEventsForReplay({ eventId = null, status = null, eventType = null, from = null, to = null, limit = 100 } = {}) {
+    const whereClauses = [];
+    const params = [];
+
+    if (eventId) {
+      whereClauses.push('event_id = ?');
+      params.push(eventId);
+    }
+    if (status) {
+      whereClauses.push('status = ?');
+      params.push(status);
+    }
+    if (eventType) {
+      whereClauses.push('event_type = ?');
+      params.push(eventType);
+    }
+    if (from) {
+      whereClauses.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      whereClauses.push('created_at <= ?');
+      params.push(to);
+    }
+
+    const where = whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+      `SELECT id, event_id, event_type, status, COALESCE(locked_until > NOW(), FALSE) AS leased
+       FROM webhook_events${where}
+       ORDER BY created_at, id
+       LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    return rows;
+  }
+
+  /**
+   * Gets an event by its event_id with its processing attempts (oldest
+   * first). Returns null if not found.
+   */
+  async getEvent(eventId) {
+    const [rows] = await pool.query('SELECT * FROM webhook_events WHERE event_id = ?', [eventId]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const [attempts] = await pool.query(
+      `SELECT id, trigger_type, outcome, started_at, finished_at, duration_ms,
+              error_message, error_stack, result, requested_by
+       FROM webhook_event_attempts
+       WHERE webhook_event_id = ?
+       ORDER BY started_at, id`,
+      [rows[0].id]
+    );
+
+    return { ...rows[0], attempts };
   }
 
   /**
    * Retrieves all webhook events with optional filtering.
    */
   async getEvents(filters = {}) {
-    const { status, limit = 50, offset = 0 } = filters;
+    const { status, aggregateType, aggregateId, limit = 50, offset = 0 } = filters;
 
     let query = 'SELECT * FROM webhook_events';
+    const whereClauses = [];
     const params = [];
 
     if (status) {
-      query += ' WHERE status = ?';
+      whereClauses.push('status = ?');
       params.push(status);
     }
+    if (aggregateType) {
+      whereClauses.push('aggregate_type = ?');
+      params.push(aggregateType);
+    }
+    if (aggregateId) {
+      whereClauses.push('aggregate_id = ?');
+      params.push(aggregateId);
+    }
+
+    if (whereClauses.length > 0) {
+      query += ` WHERE ${whereClauses.join(' AND ')}`;
+    }
 
     query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
     params.push(parseInt(limit), parseInt(offset));
@@ -162,4 +863,5 @@ class WebhookService {
   }
 }
 
+export { CALLBACK_LEASE_OWNER, WEBHOOK_EVENT_STATUSES, getLeaseSeconds };
 export default new WebhookService();
\ No newline at end of file
@@ -0,0 +1,168 @@
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+/**
+ * Registry of webhook event handlers.
+ *
+ * Modules register handlers for an event type or a pattern where `*`
+ * matches any characters ("order.*", "*"). Every handler matching an event
+ * runs, concurrently and independently: each has its own timeout and
+ * retry policy, and one handler failing does not stop the others. A handler
+ * that needs another one's work declares it with `after`; it then starts
+ * once that handler has succeeded, and fails without running if it failed.
+ */
+class WebhookHandlerRegistry {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Registers a handler.
+   *
+   * @param {string} pattern - Event type, or a pattern with `*` wildcards
+   * @param {string} name - Unique handler name, used in results and listings
+   * @param {Function} handler - async (data, event) => result, where event
+   *   is { event_id, event_type }
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Time limit per try
+   * @param {number} options.retries - Extra tries after a failure or timeout
+   * @param {number} options.retryDelayMs - Delay before the first retry, doubled for each next one
+   * @param {string[]} options.after - Names of handlers (registered earlier) that
+   *   must succeed for the same event before this one runs
+   */
+  register(pattern, name, handler, {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = 0,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    after = []
+  } = {}) {
+    if (this.handlers.some((entry) => entry.name === name)) {
+      throw new Error(`Webhook handler ${name} is already registered`);
+    }
+    // Requiring earlier registration also rules out cycles
+    for (const dependency of after) {
+      if (!this.handlers.some((entry) => entry.name === dependency)) {
+        throw new Error(`Webhook handler ${name} runs after unknown handler ${dependency}`);
+      }
+    }
+
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    this.handlers.push({
+      pattern,
+      name,
+      handler,
+      timeoutMs,
+      retries,
+      retryDelayMs,
+      after,
+      regex: new RegExp(`^${source}$`)
+    });
+  }
+
+  /**
+   * Handlers matching an event type, in registration order.
+   */
+  resolve(eventType) {
+    return this.handlers.filter((entry) => entry.regex.test(eventType));
+  }
+
+  /**
+   * Registered handlers and their policies.
+   */
+  list() {
+    return this.handlers.map(({ pattern, name, timeoutMs, retries, retryDelayMs, after }) => ({
+      name,
+      pattern,
+      timeoutMs,
+      retries,
+      retryDelayMs,
+      after
+    }));
+  }
+
+  /**
+   * Runs every handler matching the event, except those named in `skip`
+   * (they already succeeded in an earlier attempt). Dependencies that are
+   * skipped or do not match the event count as satisfied.
+   *
+   * @returns {Promise<Object>} - { matched, results: { [name]: result },
+   *   failures: [{ handler, error }] }
+   */
+  async run(event, data, { skip = [] } = {}) {
+    const matched = this.resolve(event.event_type);
+    const pending = matched.filter((entry) => !skip.includes(entry.name));
+
+    const runs = new Map();
+    const start = (entry) => {
+      if (!runs.has(entry.name)) {
+        runs.set(entry.name, (async () => {
+          for (const dependency of entry.after) {
+            const required = pending.find((candidate) => candidate.name === dependency);
+            if (required) {
+              try {
+                await start(required);
+              } catch {
+                throw new Error(`Webhook handler ${entry.name} not run: ${dependency} failed`);
+              }
+            }
+          }
+          return this._runWithPolicy(entry, data, event);
+        })());
+      }
+      return runs.get(entry.name);
+    };
+
+    const settled = await Promise.allSettled(pending.map(start));
+
+    const results = {};
+    const failures = [];
+    settled.forEach((outcome, index) => {
+      const { name } = pending[index];
+      if (outcome.status === 'fulfilled') {
+        results[name] = outcome.value ?? null;
+      } else {
+        failures.push({ handler: name, error: outcome.reason });
+      }
+    });
+
+    return { matched: matched.map((entry) => entry.name), results, failures };
+  }
+
+  /**
+   * Runs one handler with its timeout, retrying with exponential backoff.
+   * A timed-out try is not cancelled and may still be running when the
+   * retry starts, so a handler with retries must be safe to run twice at
+   * the same time for one event, not just one run after another.
+   */
+  async _runWithPolicy(entry, data, event) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._withTimeout(entry.handler(data, event), entry.timeoutMs, entry.name);
+      } catch (error) {
+        if (attempt >= entry.retries) {
+          throw error;
+        }
+        console.warn(`⚠️  Webhook handler ${entry.name} failed (${error.message}), retrying`);
+        await new Promise((resolve) => setTimeout(resolve, entry.retryDelayMs * 2 ** attempt));
+      }
+    }
+  }
+
+  _withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Webhook handler ${name} timed out after ${timeoutMs}ms`)),
+        timeoutMs
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+export default new WebhookHandlerRegistry();
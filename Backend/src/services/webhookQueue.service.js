@@ -0,0 +1,122 @@
+import os from 'os';
+import { redisClient } from '../config/redis.js';
+
+const STREAM_KEY = 'webhook:events';
+const GROUP_NAME = 'webhook-workers';
+// Events waiting for a retry, scored by the time they become due (ms)
+const RETRY_KEY = 'webhook:retries';
+// Messages a consumer has held this long without acking are taken over
+const CLAIM_IDLE_MS = 60000;
+
+/**
+ * Redis Streams queue between the webhook callback and the worker.
+ *
+ * Messages carry only the webhook_events row id; the row is the source of
+ * truth for payload and status. Retries are kept in a sorted set until due
+ * and then added back to the stream, so the stream never holds a message
+ * that should not run yet.
+ */
+class WebhookQueueService {
+  constructor() {
+    this.consumerName = `${os.hostname()}-${process.pid}`;
+  }
+
+  /**
+   * Queues a stored webhook event for the worker.
+   */
+  async enqueue(eventDbId) {
+    return redisClient.xAdd(STREAM_KEY, '*', { id: String(eventDbId) });
+  }
+
+  /**
+   * Creates the consumer group (and the stream) if they do not exist.
+   */
+  async ensureGroup() {
+    try {
+      await redisClient.xGroupCreate(STREAM_KEY, GROUP_NAME, '0', { MKSTREAM: true });
+    } catch (error) {
+      if (!error.message.includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Reads new messages for this consumer. `client` must be a dedicated
+   * connection since the read blocks for up to `blockMs`.
+   *
+   * @returns {Promise<Array<{ messageId: string, eventDbId: number }>>}
+   */
+  async read(client, { count = 10, blockMs = 5000 } = {}) {
+    const response = await client.xReadGroup(
+      GROUP_NAME,
+      this.consumerName,
+      { key: STREAM_KEY, id: '>' },
+      { COUNT: count, BLOCK: blockMs }
+    );
+
+    if (!response) {
+      return [];
+    }
+
+    return response.flatMap((stream) => stream.messages.map((message) => this._format(message)));
+  }
+
+  /**
+   * Takes over messages left unacknowledged by crashed consumers.
+   */
+  async claimStale({ count = 10 } = {}) {
+    const { messages } = await redisClient.xAutoClaim(
+      STREAM_KEY,
+      GROUP_NAME,
+      this.consumerName,
+      CLAIM_IDLE_MS,
+      '0-0',
+      { COUNT: count }
+    );
+
+    return messages.filter(Boolean).map((message) => this._format(message));
+  }
+
+  /**
+   * Acknowledges (and trims) a handled message.
+   */
+  async ack(messageId) {
+    await redisClient.xAck(STREAM_KEY, GROUP_NAME, messageId);
+    await redisClient.xDel(STREAM_KEY, messageId);
+  }
+
+  /**
+   * Schedules an event to be queued again after `delayMs`.
+   */
+  async scheduleRetry(eventDbId, delayMs) {
+    await redisClient.zAdd(RETRY_KEY, { score: Date.now() + delayMs, value: String(eventDbId) });
+  }
+
+  /**
+   * Moves retries that are due back onto the stream.
+   * Returns the number of events queued.
+   */
+  async promoteDueRetries({ count = 100 } = {}) {
+    const due = await redisClient.zRangeByScore(RETRY_KEY, 0, Date.now(), {
+      LIMIT: { offset: 0, count }
+    });
+
+    let promoted = 0;
+    for (const eventDbId of due) {
+      // Only the worker that removes the entry queues it
+      if (await redisClient.zRem(RETRY_KEY, eventDbId) === 1) {
+        await this.enqueue(eventDbId);
+        promoted++;
+      }
+    }
+
+    return promoted;
+  }
+
+  _format(message) {
+    return { messageId: message.id, eventDbId: Number(message.message.id) };
+  }
+}
+
+export default new WebhookQueueService();
@@ -0,0 +1,66 @@
+import { slugify } from './slug.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SLUG_LENGTH = 120;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Validates a category payload for create.
+ * The slug defaults to one derived from the name.
+ *
+ * @param {Object} input - Raw request body
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string}>, value: Object }}
+ */
+export function validateCategory(input) {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      valid: false,
+      errors: [{ field: 'body', message: 'Request body must be a JSON object' }],
+      value
+    };
+  }
+
+  // Name
+  if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else if (input.name.trim().length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+  } else {
+    value.name = input.name.trim();
+  }
+
+  // Slug (optional)
+  if (input.slug !== undefined) {
+    if (
+      typeof input.slug !== 'string' ||
+      input.slug.length > MAX_SLUG_LENGTH ||
+      !SLUG_PATTERN.test(input.slug)
+    ) {
+      errors.push({ field: 'slug', message: 'slug must be lowercase letters and digits separated by hyphens' });
+    } else {
+      value.slug = input.slug;
+    }
+  } else if (value.name) {
+    value.slug = slugify(value.name);
+    if (!value.slug) {
+      errors.push({ field: 'slug', message: 'slug is required when the name has no letters or digits' });
+    }
+  }
+
+  // Parent (optional; null for a top-level category)
+  if (input.parent_id === undefined || input.parent_id === null) {
+    value.parent_id = null;
+  } else {
+    const parentId = Number(input.parent_id);
+    if (input.parent_id === '' || !Number.isInteger(parentId) || parentId <= 0) {
+      errors.push({ field: 'parent_id', message: 'parent_id must be a positive integer or null' });
+    } else {
+      value.parent_id = parentId;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
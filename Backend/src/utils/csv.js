@@ -0,0 +1,95 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting).
+ */
+
+/**
+ * Formats one value as a CSV field. Quotes fields containing commas,
+ * quotes or line breaks; dates are written as ISO 8601.
+ */
+export function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Formats an array of values as one CSV line (with trailing CRLF).
+ */
+export function toCsvRow(values) {
+  return values.map(toCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Parses CSV text into records. Handles quoted fields with embedded commas,
+ * quotes and line breaks. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>} - line is the 1-based
+ *   line the record starts on, for error reporting
+ */
+export function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
@@ -0,0 +1,110 @@
+const MAX_NAME_LENGTH = 255;
+const MAX_ADDRESS_LENGTH = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Optional free-text fields: [field, max length]
+const TEXT_FIELDS = [
+  ['description', null],
+  ['address', MAX_ADDRESS_LENGTH],
+  ['contact_name', 255],
+  ['contact_phone', 50]
+];
+
+/**
+ * Validates a farm payload for create/update.
+ *
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate fields that are present (PATCH)
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string}>, value: Object }}
+ */
+export function validateFarm(input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      valid: false,
+      errors: [{ field: 'body', message: 'Request body must be a JSON object' }],
+      value
+    };
+  }
+
+  const has = (field) => input[field] !== undefined;
+
+  // Name
+  if (has('name')) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Name must be a non-empty string' });
+    } else if (input.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+    } else {
+      value.name = input.name.trim();
+    }
+  } else if (!partial) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+
+  // Optional text fields (nullable)
+  for (const [field, maxLength] of TEXT_FIELDS) {
+    if (has(field)) {
+      if (input[field] !== null && typeof input[field] !== 'string') {
+        errors.push({ field, message: `${field} must be a string or null` });
+      } else if (maxLength && input[field] && input[field].length > maxLength) {
+        errors.push({ field, message: `${field} must be at most ${maxLength} characters` });
+      } else {
+        value[field] = input[field];
+      }
+    } else if (!partial) {
+      value[field] = null;
+    }
+  }
+
+  // Contact email
+  if (has('contact_email')) {
+    if (input.contact_email !== null && !EMAIL_PATTERN.test(String(input.contact_email))) {
+      errors.push({ field: 'contact_email', message: 'contact_email must be a valid email address or null' });
+    } else {
+      value.contact_email = input.contact_email;
+    }
+  } else if (!partial) {
+    value.contact_email = null;
+  }
+
+  // Coordinates (both or neither)
+  for (const [field, limit] of [['latitude', 90], ['longitude', 180]]) {
+    if (has(field)) {
+      const coordinate = Number(input[field]);
+      if (input[field] === null) {
+        value[field] = null;
+      } else if (input[field] === '' || !Number.isFinite(coordinate) || Math.abs(coordinate) > limit) {
+        errors.push({ field, message: `${field} must be a number between -${limit} and ${limit}` });
+      } else {
+        value[field] = coordinate;
+      }
+    } else if (!partial) {
+      value[field] = null;
+    }
+  }
+
+  if (has('latitude') !== has('longitude') || (value.latitude === null) !== (value.longitude === null)) {
+    errors.push({ field: 'latitude', message: 'latitude and longitude must be provided together' });
+  }
+
+  // Verified flag
+  if (has('verified')) {
+    if (typeof input.verified !== 'boolean') {
+      errors.push({ field: 'verified', message: 'verified must be a boolean' });
+    } else {
+      value.verified = input.verified;
+    }
+  } else if (!partial) {
+    value.verified = false;
+  }
+
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: 'body', message: 'At least one updatable field is required' });
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
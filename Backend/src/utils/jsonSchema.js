@@ -0,0 +1,106 @@
+/**
+ * Minimal JSON Schema validator for the subset of keywords our webhook
+ * schemas use: type, enum, required, properties, additionalProperties
+ * (boolean), items, minItems, maxItems, minLength, maxLength, minimum,
+ * maximum and pattern.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path - Field path used in error messages (e.g. "data.items[0]")
+ * @returns {Array<{field: string, message: string}>} - Empty when valid
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const field = path || 'body';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(type, value))) {
+      errors.push({ field, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (matchesType('object', value)) {
+    const properties = schema.properties || {};
+    const child = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: child(key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], child(key)));
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(properties, key)) {
+          errors.push({ field: child(key), message: 'is not allowed' });
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
@@ -0,0 +1,295 @@
+import { UNITS, DEFAULT_UNIT } from './units.js';
+import { isCalendarDate } from './timestamp.js';
+
+const MAX_NAME_LENGTH = 255;
+const MAX_CATEGORY_LENGTH = 120;
+const MAX_PRICE = 99999999.99; // DECIMAL(10, 2)
+const MAX_PACK_SIZE = 9999999.999; // DECIMAL(10, 3)
+
+/**
+ * Validates a product payload for create/update.
+ *
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate fields that are present (PATCH)
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string}>, value: Object }}
+ */
+export function validateProduct(input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      valid: false,
+      errors: [{ field: 'body', message: 'Request body must be a JSON object' }],
+      value
+    };
+  }
+
+  const has = (field) => input[field] !== undefined;
+
+  // Name
+  if (has('name')) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Name must be a non-empty string' });
+    } else if (input.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+    } else {
+      value.name = input.name.trim();
+    }
+  } else if (!partial) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+
+  // Description (optional, nullable)
+  if (has('description')) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      errors.push({ field: 'description', message: 'Description must be a string or null' });
+    } else {
+      value.description = input.description;
+    }
+  } else if (!partial) {
+    value.description = null;
+  }
+
+  // Price
+  if (has('price')) {
+    const price = Number(input.price);
+    if (input.price === null || input.price === '' || !Number.isFinite(price) || price <= 0) {
+      errors.push({ field: 'price', message: 'Price must be a number greater than 0' });
+    } else if (price > MAX_PRICE) {
+      errors.push({ field: 'price', message: `Price must not exceed ${MAX_PRICE}` });
+    } else {
+      value.price = Math.round(price * 100) / 100;
+    }
+  } else if (!partial) {
+    errors.push({ field: 'price', message: 'Price is required' });
+  }
+
+  // Category name or slug (existence is checked against the categories table)
+  if (has('category')) {
+    if (
+      typeof input.category !== 'string' ||
+      input.category.trim().length === 0 ||
+      input.category.trim().length > MAX_CATEGORY_LENGTH
+    ) {
+      errors.push({ field: 'category', message: `Category must be a category name or slug of at most ${MAX_CATEGORY_LENGTH} characters` });
+    } else {
+      value.category = input.category.trim();
+    }
+  } else if (!partial) {
+    errors.push({ field: 'category', message: 'Category is required' });
+  }
+
+  // Farm (optional, nullable; existence is enforced by the foreign key)
+  if (has('farm_id')) {
+    const farmId = Number(input.farm_id);
+    if (input.farm_id === null) {
+      value.farm_id = null;
+    } else if (input.farm_id === '' || !Number.isInteger(farmId) || farmId <= 0) {
+      errors.push({ field: 'farm_id', message: 'farm_id must be a positive integer or null' });
+    } else {
+      value.farm_id = farmId;
+    }
+  } else if (!partial) {
+    value.farm_id = null;
+  }
+
+  // Stock (defaults to 0 on create/replace)
+  if (has('stock')) {
+    const stock = Number(input.stock);
+    if (input.stock === null || input.stock === '' || !Number.isInteger(stock) || stock < 0) {
+      errors.push({ field: 'stock', message: 'Stock must be a non-negative integer' });
+    } else {
+      value.stock = stock;
+    }
+  } else if (!partial) {
+    value.stock = 0;
+  }
+
+  // Unit of measure and pack size (e.g. 500 g, 1 dozen)
+  if (has('unit')) {
+    if (!Object.hasOwn(UNITS, input.unit)) {
+      errors.push({ field: 'unit', message: `Unknown unit. Allowed: ${Object.keys(UNITS).join(', ')}` });
+    } else {
+      value.unit = input.unit;
+    }
+  } else if (!partial) {
+    value.unit = DEFAULT_UNIT;
+  }
+
+  if (has('pack_size')) {
+    const packSize = Number(input.pack_size);
+    if (input.pack_size === null || input.pack_size === '' || !Number.isFinite(packSize) || packSize <= 0) {
+      errors.push({ field: 'pack_size', message: 'pack_size must be a number greater than 0' });
+    } else if (packSize > MAX_PACK_SIZE) {
+      errors.push({ field: 'pack_size', message: `pack_size must not exceed ${MAX_PACK_SIZE}` });
+    } else {
+      value.pack_size = packSize;
+    }
+  } else if (!partial) {
+    value.pack_size = 1;
+  }
+
+  // Harvest date (YYYY-MM-DD, not in the future)
+  if (has('harvested_at')) {
+    if (input.harvested_at === null) {
+      value.harvested_at = null;
+    } else if (!isCalendarDate(input.harvested_at)) {
+      errors.push({ field: 'harvested_at', message: 'harvested_at must be a date (YYYY-MM-DD) or null' });
+    } else if (Date.parse(input.harvested_at) > Date.now()) {
+      errors.push({ field: 'harvested_at', message: 'harvested_at cannot be in the future' });
+    } else {
+      value.harvested_at = input.harvested_at;
+    }
+  } else if (!partial) {
+    value.harvested_at = null;
+  }
+
+  // Shelf life in days
+  if (has('shelf_life_days')) {
+    const days = Number(input.shelf_life_days);
+    if (input.shelf_life_days === null) {
+      value.shelf_life_days = null;
+    } else if (input.shelf_life_days === '' || !Number.isInteger(days) || days < 0) {
+      errors.push({ field: 'shelf_life_days', message: 'shelf_life_days must be a non-negative integer or null' });
+    } else {
+      value.shelf_life_days = days;
+    }
+  } else if (!partial) {
+    value.shelf_life_days = null;
+  }
+
+  // Organic flag (booleans, or "true"/"false" from CSV imports)
+  if (has('organic')) {
+    if (typeof input.organic === 'boolean') {
+      value.organic = input.organic;
+    } else if (['true', 'false'].includes(input.organic)) {
+      value.organic = input.organic === 'true';
+    } else {
+      errors.push({ field: 'organic', message: 'organic must be a boolean' });
+    }
+  } else if (!partial) {
+    value.organic = false;
+  }
+
+  // Certifications (array of names, or "a;b" from CSV imports)
+  if (has('certifications')) {
+    const certifications = typeof input.certifications === 'string'
+      ? input.certifications.split(';').map((name) => name.trim()).filter(Boolean)
+      : input.certifications;
+
+    if (certifications === null) {
+      value.certifications = null;
+    } else if (
+      !Array.isArray(certifications) ||
+      !certifications.every((name) => typeof name === 'string' && name.trim().length > 0)
+    ) {
+      errors.push({ field: 'certifications', message: 'certifications must be an array of names or null' });
+    } else {
+      value.certifications = certifications.map((name) => name.trim());
+    }
+  } else if (!partial) {
+    value.certifications = null;
+  }
+
+  // Archived flag (hidden from the catalog without being deleted)
+  if (has('archived')) {
+    if (typeof input.archived !== 'boolean') {
+      errors.push({ field: 'archived', message: 'archived must be a boolean' });
+    } else {
+      value.archived = input.archived;
+    }
+  } else if (!partial) {
+    value.archived = false;
+  }
+
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: 'body', message: 'At least one updatable field is required' });
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Validates a product variant payload for create/update.
+ *
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate fields that are present (PATCH)
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string}>, value: Object }}
+ */
+export function validateVariant(input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      valid: false,
+      errors: [{ field: 'body', message: 'Request body must be a JSON object' }],
+      value
+    };
+  }
+
+  const has = (field) => input[field] !== undefined;
+
+  // Label (e.g. "500 g", "1 kg")
+  if (has('label')) {
+    if (typeof input.label !== 'string' || input.label.trim().length === 0 || input.label.trim().length > 100) {
+      errors.push({ field: 'label', message: 'Label must be a non-empty string of at most 100 characters' });
+    } else {
+      value.label = input.label.trim();
+    }
+  } else if (!partial) {
+    errors.push({ field: 'label', message: 'Label is required' });
+  }
+
+  // SKU (optional, unique)
+  if (has('sku')) {
+    if (input.sku !== null && (typeof input.sku !== 'string' || !/^[A-Za-z0-9._-]{1,64}$/.test(input.sku))) {
+      errors.push({ field: 'sku', message: 'sku must be 1-64 letters, digits, ".", "_" or "-", or null' });
+    } else {
+      value.sku = input.sku;
+    }
+  } else if (!partial) {
+    value.sku = null;
+  }
+
+  // Price, unit, pack size and stock follow the product rules
+  const { errors: productErrors, value: productValue } = validateProduct(
+    {
+      price: input.price,
+      unit: input.unit,
+      pack_size: input.pack_size,
+      stock: input.stock
+    },
+    { partial: true }
+  );
+
+  for (const error of productErrors) {
+    if (error.field !== 'body') {
+      errors.push(error);
+    }
+  }
+
+  for (const field of ['price', 'unit', 'pack_size', 'stock']) {
+    if (productValue[field] !== undefined) {
+      value[field] = productValue[field];
+    }
+  }
+
+  if (!partial) {
+    if (!has('price')) {
+      errors.push({ field: 'price', message: 'Price is required' });
+    }
+    value.unit ??= DEFAULT_UNIT;
+    value.pack_size ??= 1;
+    value.stock ??= 0;
+  }
+
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: 'body', message: 'At least one updatable field is required' });
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
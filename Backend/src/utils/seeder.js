@@ -1,17 +1,7 @@
 import { pool } from '../config/database.js';
-
-const CATEGORIES = [
-  'Electronics',
-  'Clothing',
-  'Home & Garden',
-  'Sports',
-  'Books',
-  'Toys',
-  'Food & Beverage',
-  'Beauty',
-  'Automotive',
-  'Health'
-];
+import { CATEGORIES } from '../config/categories.js';
+import productService from '../services/product.service.js';
+import suggestionService from '../services/suggestion.service.js';
 
 const NAME_PREFIXES = [
   'Premium', 'Deluxe', 'Professional', 'Ultra', 'Smart', 'Classic', 
@@ -75,6 +65,10 @@ export async function seedProducts(totalRecords = 1000000) {
 
   const startTime = Date.now();
 
+  // Categories are created by initDatabase from the same CATEGORIES list
+  const [categoryRows] = await pool.query('SELECT id, name FROM categories');
+  const categoryIds = new Map(categoryRows.map((row) => [row.name, row.id]));
+
   try {
     for (let batch = 0; batch < totalBatches; batch++) {
       const values = [];
@@ -89,15 +83,15 @@ export async function seedProducts(totalRecords = 1000000) {
         const price = generatePrice();
         const stock = Math.floor(Math.random() * 500);
 
-        values.push([name, description, price, category, stock]);
+        values.push([name, description, price, category, categoryIds.get(category), stock]);
       }
 
       // Batch insert
-      const placeholders = values.map(() => '(?, ?, ?, ?, ?)').join(',');
+      const placeholders = values.map(() => '(?, ?, ?, ?, ?, ?)').join(',');
       const flatValues = values.flat();
 
       await pool.query(
-        `INSERT INTO products (name, description, price, category, stock) 
+        `INSERT INTO products (name, description, price, category, category_id, stock) 
          VALUES ${placeholders}`,
         flatValues
       );
@@ -111,16 +105,62 @@ export async function seedProducts(totalRecords = 1000000) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`✅ Seeding completed in ${duration}s`);
     console.log(`📈 Average: ${(totalRecords / duration).toFixed(0)} records/second`);
+
+    // New products show up in listings and typeahead right away
+    await productService.invalidateCache();
+    console.log('🔤 Rebuilding product suggestion index...');
+    const indexed = await suggestionService.rebuildIndex();
+    console.log(`✅ Indexed ${indexed.toLocaleString()} products`);
   } catch (error) {
     console.error('❌ Seeding failed:', error.message);
     throw error;
   }
 }
 
+// Tables owned by products, children before parents. TRUNCATE does not
+// cascade, so the rows pointing at a product go with it. Orders are kept.
+const PRODUCT_TABLES = [
+  'inventory_reservations',
+  'product_price_history',
+  'product_variants',
+  'products'
+];
+
+// TRUNCATE restarts AUTO_INCREMENT; these keep counting so order items
+// never point at a new product that reuses an old id
+const KEEP_IDS_TABLES = ['product_variants', 'products'];
+
 /**
- * Clears all products from database (use with caution).
+ * Clears all products, with their variants, price history and
+ * reservations (use with caution). Orders are kept. Product caches and
+ * the suggestion index are emptied too.
  */
 export async function clearProducts() {
-  await pool.query('TRUNCATE TABLE products');
+  // MySQL refuses to TRUNCATE a table referenced by a foreign key, so
+  // disable the checks for this connection while the tables are emptied
+  const connection = await pool.getConnection();
+  try {
+    const nextIds = new Map();
+    for (const table of KEEP_IDS_TABLES) {
+      const [[{ nextId }]] = await connection.query(`SELECT COALESCE(MAX(id), 0) + 1 AS nextId FROM ${table}`);
+      nextIds.set(table, nextId);
+    }
+
+    await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+    for (const table of PRODUCT_TABLES) {
+      await connection.query(`TRUNCATE TABLE ${table}`);
+    }
+
+    for (const [table, nextId] of nextIds) {
+      await connection.query(`ALTER TABLE ${table} AUTO_INCREMENT = ${Number(nextId)}`);
+    }
+  } finally {
+    await connection.query('SET FOREIGN_KEY_CHECKS = 1');
+    connection.release();
+  }
+
+  await productService.invalidateCache();
+  await productService.clearItemCache();
+  await suggestionService.rebuildIndex();
   console.log('🗑️  All products cleared');
 }
\ No newline at end of file
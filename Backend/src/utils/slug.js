@@ -0,0 +1,12 @@
+/**
+ * Turns a display name into a URL-safe slug ("Home & Garden" -> "home-and-garden").
+ */
+export function slugify(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,42 @@
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_ONLY_LENGTH = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a value is a YYYY-MM-DD date naming a real day. Date parsing
+ * rolls 2024-02-30 over to March 1st, so the parsed day is compared back.
+ */
+export function isCalendarDate(value) {
+  const text = String(value);
+  if (!DATE_PATTERN.test(text)) {
+    return false;
+  }
+
+  const time = Date.parse(text);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === text;
+}
+
+/**
+ * Parses an ISO 8601 date or date-time ("2024-05-01", "2024-05-01T10:00:00Z").
+ * Returns null when the value is not one, including impossible dates like
+ * 2024-02-30. With `endOfDay`, a date without a time means the last
+ * millisecond of that day (UTC), for inclusive upper bounds like
+ * ?to=2024-05-02.
+ */
+export function parseTimestamp(value, { endOfDay = false } = {}) {
+  if (
+    typeof value !== 'string' ||
+    !ISO_TIMESTAMP_PATTERN.test(value) ||
+    !isCalendarDate(value.slice(0, DATE_ONLY_LENGTH))
+  ) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return endOfDay && value.length === DATE_ONLY_LENGTH
+    ? new Date(date.getTime() + DAY_MS - 1)
+    : date;
+}
@@ -0,0 +1,38 @@
+/**
+ * Units of measure produce is sold in, and how each one normalizes for
+ * price comparison: mass to kg, volume to litres, counts to single pieces.
+ * Bunches have no common base and compare only with other bunches.
+ */
+export const UNITS = {
+  kg: { base: 'kg', factor: 1 },
+  g: { base: 'kg', factor: 0.001 },
+  l: { base: 'l', factor: 1 },
+  ml: { base: 'l', factor: 0.001 },
+  piece: { base: 'piece', factor: 1 },
+  dozen: { base: 'piece', factor: 12 },
+  bunch: { base: 'bunch', factor: 1 }
+};
+
+export const DEFAULT_UNIT = 'piece';
+
+/**
+ * Price per normalized unit, e.g. a 500 g pack at 40.00 is 80.00 per kg.
+ *
+ * @param {number|string} price - Pack price
+ * @param {string} unit - One of UNITS
+ * @param {number|string} packSize - Quantity of `unit` in one pack
+ * @returns {{ amount: number, unit: string } | null}
+ */
+export function normalizedUnitPrice(price, unit, packSize) {
+  const definition = UNITS[unit];
+  const quantity = Number(packSize) * (definition?.factor ?? 0);
+
+  if (!definition || !(quantity > 0)) {
+    return null;
+  }
+
+  return {
+    amount: Math.round((Number(price) / quantity) * 100) / 100,
+    unit: definition.base
+  };
+}
@@ -0,0 +1,145 @@
+import { validateSchema } from './jsonSchema.js';
+import { ORDER_STATUSES } from '../services/order.service.js';
+
+// Payloads without schema_version use the first version.
+const DEFAULT_SCHEMA_VERSION = 1;
+
+const UNKNOWN_EVENT_POLICIES = ['ignore', 'reject'];
+const DEFAULT_UNKNOWN_EVENT_POLICY = 'ignore';
+
+const ID_SCHEMA = {
+  type: ['string', 'integer'],
+  minLength: 1,
+  maxLength: 100,
+  minimum: 1
+};
+
+// Fields every webhook payload has, whatever its event type.
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['event_id', 'event_type', 'data'],
+  properties: {
+    event_id: { type: ['string', 'integer'], minLength: 1, maxLength: 255 },
+    event_type: { type: 'string', minLength: 1, maxLength: 100 },
+    schema_version: { type: 'integer', minimum: 1 },
+    // Position of the event within its aggregate (order, payment), from 1
+    sequence: { type: 'integer', minimum: 1 },
+    data: { type: 'object' }
+  }
+};
+
+/**
+ * Schemas for the `data` of each event type, by schema version. Add a new
+ * version rather than changing an existing one, so stored events and
+ * providers still on an older version keep validating.
+ */
+const WEBHOOK_SCHEMAS = {
+  'order.created': {
+    1: {
+      type: 'object',
+      required: ['order_id', 'items'],
+      properties: {
+        order_id: ID_SCHEMA,
+        customer_id: { type: ['string', 'integer', 'null'], maxLength: 100 },
+        items: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['product_id', 'quantity'],
+            properties: {
+              product_id: { type: 'integer', minimum: 1 },
+              variant_id: { type: ['integer', 'null'], minimum: 1 },
+              quantity: { type: 'integer', minimum: 1 }
+            }
+          }
+        }
+      }
+    }
+  },
+  'order.updated': {
+    1: {
+      type: 'object',
+      required: ['order_id', 'status'],
+      properties: {
+        order_id: ID_SCHEMA,
+        status: { type: 'string', enum: ORDER_STATUSES }
+      }
+    }
+  },
+  'payment.completed': {
+    1: {
+      type: 'object',
+      required: ['payment_id'],
+      properties: {
+        payment_id: ID_SCHEMA,
+        order_id: ID_SCHEMA,
+        amount: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * What to do with event types that have no schema (WEBHOOK_UNKNOWN_EVENT_POLICY):
+ * 'ignore' accepts and stores them without running a handler, 'reject'
+ * refuses them like an invalid payload.
+ */
+export function getUnknownEventPolicy() {
+  const policy = process.env.WEBHOOK_UNKNOWN_EVENT_POLICY;
+  return UNKNOWN_EVENT_POLICIES.includes(policy) ? policy : DEFAULT_UNKNOWN_EVENT_POLICY;
+}
+
+/**
+ * Validates only the envelope fields (event_id, event_type, ...), which
+ * must be well-formed before the event can be stored.
+ *
+ * @param {Object} payload - Full webhook body
+ * @returns {Array<{field: string, message: string}>} - Empty when valid
+ */
+export function validateWebhookEnvelope(payload) {
+  return validateSchema(ENVELOPE_SCHEMA, payload);
+}
+
+/**
+ * Validates a webhook payload against the schema for its event type and
+ * schema_version.
+ *
+ * @param {Object} payload - Full webhook body ({ event_id, event_type, schema_version?, data })
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string}>, known: boolean, version: number|null }}
+ *   known is false for event types without a schema; they are valid only
+ *   under the 'ignore' policy.
+ */
+export function validateWebhookPayload(payload) {
+  const errors = validateWebhookEnvelope(payload);
+  if (errors.length > 0) {
+    return { valid: false, errors, known: false, version: null };
+  }
+
+  const versions = WEBHOOK_SCHEMAS[payload.event_type];
+  if (!versions) {
+    const valid = getUnknownEventPolicy() === 'ignore';
+    return {
+      valid,
+      errors: valid ? [] : [{ field: 'event_type', message: `Unknown event type ${payload.event_type}` }],
+      known: false,
+      version: null
+    };
+  }
+
+  const version = payload.schema_version ?? DEFAULT_SCHEMA_VERSION;
+  if (!versions[version]) {
+    return {
+      valid: false,
+      errors: [{
+        field: 'schema_version',
+        message: `Unsupported version for ${payload.event_type}. Supported: ${Object.keys(versions).join(', ')}`
+      }],
+      known: true,
+      version
+    };
+  }
+
+  const dataErrors = validateSchema(versions[version], payload.data, 'data');
+  return { valid: dataErrors.length === 0, errors: dataErrors, known: true, version };
+}
@@ -0,0 +1,5 @@
+// Registers every webhook handler. Import once before processing events;
+// add new handler modules here.
+import './order.handlers.js';
+import './inventory.handlers.js';
+import './payment.handlers.js';
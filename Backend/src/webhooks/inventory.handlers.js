@@ -0,0 +1,48 @@
+import webhookHandlers from '../services/webhookHandlers.service.js';
+import inventoryService from '../services/inventory.service.js';
+import orderService from '../services/order.service.js';
+
+/**
+ * Reserves stock for an order.created event, once orders.create has stored
+ * the order. Orders that would oversell are marked rejected. Orders that
+ * are no longer 'created', already paid, or already had reservations are
+ * left alone, so a redelivered order does not take stock twice.
+ * data: { order_id, items: [{ product_id, variant_id?, quantity }] }
+ */
+async function handleOrderCreated(data, { event_id: eventId }) {
+  const orderId = String(data.order_id);
+
+  const order = await orderService.getOrder(orderId);
+  if (!order) {
+    throw new Error(`Unknown order ${orderId}`);
+  }
+
+  const [previous] = await inventoryService.getReservations({ orderId, limit: 1 });
+  if (order.status !== 'created' || order.paid || (previous && previous.status !== 'active')) {
+    return { order_id: orderId, skipped: true, order_status: order.status };
+  }
+
+  const reservation = await inventoryService.reserveOrder(orderId, data.items);
+  if (!reservation.reserved) {
+    const { order: rejected } = await orderService.rejectOrder(orderId, eventId);
+    return {
+      order_id: orderId,
+      order_status: rejected.status,
+      reason: 'insufficient_stock',
+      shortages: reservation.shortages
+    };
+  }
+
+  return {
+    order_id: orderId,
+    reservations: reservation.reservations.length,
+    reserved_until: reservation.expiresAt
+  };
+}
+
+// reserveOrder serializes calls per order and returns the existing holds,
+// so an overlapping retry does not reserve twice
+webhookHandlers.register('order.created', 'inventory.reserve', handleOrderCreated, {
+  retries: 1,
+  after: ['orders.create']
+});
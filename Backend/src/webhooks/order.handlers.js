@@ -0,0 +1,76 @@
+import webhookHandlers from '../services/webhookHandlers.service.js';
+import orderService from '../services/order.service.js';
+
+/**
+ * Business logic for order.created event.
+ * Stores the order; its stock is reserved by inventory.reserve.
+ * data: { order_id, customer_id?, items: [{ product_id, variant_id?, quantity }] }
+ */
+async function handleOrderCreated(data, { event_id: eventId }) {
+  console.log('📦 Processing order.created:', data?.order_id);
+
+  if (!data?.order_id) {
+    throw new Error('order.created requires order_id');
+  }
+
+  const { order, created } = await orderService.createOrder(data, eventId);
+
+  const result = {
+    order_id: order.order_id,
+    status: order.status,
+    processed: true
+  };
+
+  if (!created) {
+    result.duplicate = true;
+  }
+
+  return result;
+}
+
+/**
+ * Business logic for order.updated event.
+ * data: { order_id, status } moves the order through its state machine;
+ * illegal transitions are reported and leave the order unchanged.
+ */
+async function handleOrderUpdated(data, { event_id: eventId }) {
+  console.log('🔄 Processing order.updated:', data?.order_id);
+
+  if (!data?.order_id || !data.status) {
+    throw new Error('order.updated requires order_id and status');
+  }
+
+  const { order, applied, from, to } = await orderService.transitionOrder(
+    String(data.order_id),
+    data.status,
+    eventId
+  );
+
+  if (!applied) {
+    console.warn(`⚠️  Rejected order transition ${from} -> ${to} for ${order.order_id}`);
+    return {
+      order_id: order.order_id,
+      status: order.status,
+      rejected_transition: { from, to },
+      processed: true
+    };
+  }
+
+  return {
+    order_id: order.order_id,
+    status: order.status,
+    processed: true
+  };
+}
+
+// A timed-out try keeps running while its retry starts, so both handlers
+// must be safe to run twice at once: createOrder relies on the unique
+// order_id (the second insert returns the stored order), and transitions
+// lock the order row, so a repeated transition is rejected
+webhookHandlers.register('order.created', 'orders.create', handleOrderCreated, {
+  timeoutMs: 15000,
+  retries: 1
+});
+webhookHandlers.register('order.updated', 'orders.transition', handleOrderUpdated, {
+  retries: 1
+});
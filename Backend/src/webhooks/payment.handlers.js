@@ -0,0 +1,39 @@
+import webhookHandlers from '../services/webhookHandlers.service.js';
+import orderService from '../services/order.service.js';
+
+/**
+ * Business logic for payment.completed event.
+ * Marks the order paid; its reservations become stock decrements.
+ */
+async function handlePaymentCompleted(data) {
+  console.log('💳 Processing payment.completed:', data?.payment_id);
+
+  const result = {
+    payment_id: data.payment_id,
+    status: 'captured',
+    processed: true
+  };
+
+  if (data?.order_id) {
+    const { order, committedReservations } = await orderService.markPaid(
+      String(data.order_id),
+      data.payment_id ?? null
+    );
+
+    result.order_id = order.order_id;
+    result.order_status = order.status;
+    result.committed_reservations = committedReservations;
+    // Both need manual review (refund, or re-checking stock)
+    if (['cancelled', 'rejected'].includes(order.status)) {
+      result.warning = `Payment received for ${order.status} order`;
+    } else if (committedReservations === 0) {
+      result.warning = 'No active reservations for order';
+    }
+  }
+
+  return result;
+}
+
+webhookHandlers.register('payment.completed', 'payments.capture', handlePaymentCompleted, {
+  retries: 2
+});
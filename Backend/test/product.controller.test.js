@@ -0,0 +1,53 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import productController from '../src/controllers/product.controller.js';
+import productService from '../src/services/product.service.js';
+import priceHistoryService from '../src/services/priceHistory.service.js';
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function mockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('price history with a date-only to includes that whole day', async () => {
+  mock.method(productService, 'getProductById', async () => ({ id: 7, price: 5.25 }));
+  const getHistory = mock.method(priceHistoryService, 'getHistory', async () => ({
+    changes: [],
+    priceAtStart: null
+  }));
+
+  const res = mockResponse();
+  await productController.getPriceHistory(
+    { params: { id: '7' }, query: { from: '2024-02-01', to: '2024-02-01' } },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  const { from, to } = getHistory.mock.calls[0].arguments[1];
+  assert.deepEqual(from, new Date('2024-02-01T00:00:00.000Z'));
+  assert.deepEqual(to, new Date('2024-02-01T23:59:59.999Z'));
+});
+
+test('price history rejects dates that do not exist', async () => {
+  const res = mockResponse();
+  await productController.getPriceHistory(
+    { params: { id: '7' }, query: { to: '2024-02-30' } },
+    res
+  );
+
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import productService from '../src/services/product.service.js';
+
+function corners(polygon) {
+  return polygon
+    .replace(/^POLYGON\(\(|\)\)$/g, '')
+    .split(', ')
+    .map((point) => point.split(' ').map(Number));
+}
+
+test('the proximity bounding box covers the radius, longitude first', () => {
+  const points = corners(productService._boundingBox({ lat: 52.5, lng: 13.4 }, 25));
+  const longitudes = points.map(([lng]) => lng);
+  const latitudes = points.map(([, lat]) => lat);
+
+  assert.deepEqual(points[0], points[points.length - 1]);
+  assert.ok(Math.min(...latitudes) < 52.5 - 25 / 111.045);
+  assert.ok(Math.max(...latitudes) > 52.5 + 25 / 111.045);
+  assert.ok(Math.min(...longitudes) < 13.4 && Math.max(...longitudes) > 13.4);
+});
+
+test('the proximity bounding box is clamped to valid coordinates', () => {
+  const points = corners(productService._boundingBox({ lat: 89.9, lng: 179.9 }, 100));
+
+  for (const [lng, lat] of points) {
+    assert.ok(lat >= -90 && lat <= 90);
+    assert.ok(lng >= -180 && lng <= 180);
+  }
+});
@@ -0,0 +1,88 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../src/config/database.js';
+import productService from '../src/services/product.service.js';
+import priceHistoryService from '../src/services/priceHistory.service.js';
+import productImportService from '../src/services/productImport.service.js';
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * Stands in for MySQL with a products table held in memory. Only the
+ * statements a price-only import runs are understood.
+ */
+function mockProductsTable(products) {
+  mock.method(pool, 'query', async (sql, params = []) => {
+    if (/^SELECT id FROM products WHERE id IN/.test(sql)) {
+      return [params[0].filter((id) => products.has(id)).map((id) => ({ id }))];
+    }
+    if (/MAX\(id\)/.test(sql)) {
+      return [[{ maxId: Math.max(...products.keys()) }]];
+    }
+    if (/^UPDATE products SET/.test(sql)) {
+      const columns = [...sql.matchAll(/(\w+) = CASE id/g)].map((match) => match[1]);
+      const ids = params.at(-1);
+      columns.forEach((column, c) => {
+        ids.forEach((_, r) => {
+          const offset = (c * ids.length + r) * 2;
+          products.get(params[offset])[column] = params[offset + 1];
+        });
+      });
+      return [{ affectedRows: ids.length }];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  mock.method(priceHistoryService, 'getPrices', async (ids) =>
+    new Map(ids.map((id) => [id, products.get(id).price]))
+  );
+  mock.method(productService, 'syncVariantTotals', async () => {});
+  mock.method(productImportService, '_recordPriceChanges', async () => {});
+  mock.method(productImportService, '_refreshCaches', async () => {});
+}
+
+test('a price-only row updates the price and keeps the other columns', async () => {
+  const products = new Map([
+    [7, {
+      name: 'Heirloom tomatoes',
+      price: 4.5,
+      category: 'Vegetables',
+      farm_id: 3,
+      harvested_at: '2024-05-01',
+      unit: 'kg',
+      stock: 20
+    }]
+  ]);
+  mockProductsTable(products);
+
+  const summary = await productImportService.importProducts('id,price\n7,5.25\n', { format: 'csv' });
+
+  assert.equal(summary.accepted, 1);
+  assert.equal(summary.rejected, 0);
+  assert.deepEqual(products.get(7), {
+    name: 'Heirloom tomatoes',
+    price: 5.25,
+    category: 'Vegetables',
+    farm_id: 3,
+    harvested_at: '2024-05-01',
+    unit: 'kg',
+    stock: 20
+  });
+});
+
+test('a row with an unknown id must be a complete product', async () => {
+  mockProductsTable(new Map([[7, { price: 4.5 }]]));
+
+  const summary = await productImportService.importProducts('id,price\n8,5.25\n', {
+    format: 'csv',
+    dryRun: true
+  });
+
+  assert.equal(summary.accepted, 0);
+  assert.deepEqual(
+    summary.errors[0].errors.map((error) => error.field).sort(),
+    ['category', 'name']
+  );
+});
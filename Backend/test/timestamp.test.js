@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimestamp } from '../src/utils/timestamp.js';
+
+test('dates that do not exist are rejected', () => {
+  assert.equal(parseTimestamp('2024-02-30'), null);
+  assert.equal(parseTimestamp('2023-02-29'), null);
+  assert.equal(parseTimestamp('2024-02-30T10:00:00Z'), null);
+  assert.deepEqual(parseTimestamp('2024-02-29'), new Date('2024-02-29T00:00:00Z'));
+});
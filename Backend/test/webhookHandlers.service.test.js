@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import webhookHandlers from '../src/services/webhookHandlers.service.js';
+
+const event = { event_id: 'evt_1', event_type: 'test.ordered' };
+
+test('a handler registered with after runs once its dependency succeeded', async () => {
+  const calls = [];
+  webhookHandlers.register('test.ordered', 'test.first', async () => {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    calls.push('first');
+  });
+  webhookHandlers.register('test.ordered', 'test.second', async () => {
+    calls.push('second');
+  }, { after: ['test.first'] });
+
+  const run = await webhookHandlers.run(event, {});
+
+  assert.deepEqual(calls, ['first', 'second']);
+  assert.equal(run.failures.length, 0);
+});
+
+test('a handler whose dependency failed is not run', async () => {
+  let ran = false;
+  webhookHandlers.register('test.failing', 'test.broken', async () => {
+    throw new Error('boom');
+  });
+  webhookHandlers.register('test.failing', 'test.dependent', async () => {
+    ran = true;
+  }, { after: ['test.broken'] });
+
+  const run = await webhookHandlers.run({ ...event, event_type: 'test.failing' }, {});
+
+  assert.equal(ran, false);
+  assert.deepEqual(run.failures.map((failure) => failure.handler).sort(), ['test.broken', 'test.dependent']);
+});
+
+test('a dependency that succeeded in an earlier attempt is satisfied', async () => {
+  let ran = false;
+  webhookHandlers.register('test.retried', 'test.done', async () => {
+    throw new Error('must be skipped');
+  });
+  webhookHandlers.register('test.retried', 'test.pending', async () => {
+    ran = true;
+  }, { after: ['test.done'] });
+
+  const run = await webhookHandlers.run({ ...event, event_type: 'test.retried' }, {}, { skip: ['test.done'] });
+
+  assert.equal(ran, true);
+  assert.equal(run.failures.length, 0);
+});
+
+test('after must name a handler registered earlier', () => {
+  assert.throws(
+    () => webhookHandlers.register('test.*', 'test.orphan', async () => {}, { after: ['test.missing'] }),
+    /unknown handler test.missing/
+  );
+});